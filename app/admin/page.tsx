@@ -149,7 +149,8 @@ export default function AdminDashboard() {
         const user = getUser();
 
         if (!token) { window.location.href = "/login"; return; }
-        if (user?.role !== "admin") { window.location.href = "/"; return; }
+        // Managers get the same dashboard, scoped to their reports by the API
+        if (!["admin", "manager"].includes(user?.role)) { window.location.href = "/"; return; }
 
         const headers = { Authorization: `Bearer ${token}` };
         const base = "http://localhost:5000/api/analytics";
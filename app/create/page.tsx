@@ -49,6 +49,7 @@ export default function CreateReflection() {
 
             const res = await fetch("http://localhost:5000/api/posts/upload-audio", {
                 method: "POST",
+                headers: { Authorization: `Bearer ${getToken()}` },
                 body: formData,
             });
 
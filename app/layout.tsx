@@ -1,6 +1,6 @@
 "use client";
 
-import { clearSession, getToken, getUser } from "@/lib/auth";
+import { getToken, getUser, logout as endSession, refreshSession } from "@/lib/auth";
 import Link from "next/link";
 import { useEffect, useState } from "react";
 import UpgradeModal from "../../frontend/app/components/UpgradeModal";
@@ -36,9 +36,20 @@ export default function RootLayout({
     }
   }, []);
 
-  // Logout function — clears both sessionStorage and localStorage
-  const logout = () => {
-    clearSession();
+  // Access tokens are short-lived — keep this tab's token fresh while it is open
+  useEffect(() => {
+    if (!getToken()) return;
+    const timer = setInterval(async () => {
+      if (!(await refreshSession()) && window.location.pathname !== "/login") {
+        window.location.href = "/login";
+      }
+    }, 10 * 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Logout function — revokes the session, then clears both sessionStorage and localStorage
+  const logout = async () => {
+    await endSession();
     window.location.href = "/login";
   };
 
@@ -71,8 +82,8 @@ export default function RootLayout({
 
             {/* Navigation */}
             <nav className="flex-1 px-3 py-4 overflow-y-auto">
-              {/* Admin */}
-              {user?.role === "admin" && (
+              {/* Admin / manager */}
+              {(user?.role === "admin" || user?.role === "manager") && (
                 <>
                   <Link
                     href="/admin"
@@ -2,7 +2,7 @@
 
 import { getToken } from "@/lib/auth";
 import { useRouter } from "next/navigation";
-import { use, useEffect, useRef, useState } from "react";
+import { use, useCallback, useEffect, useRef, useState } from "react";
 
 
 type ChatMsg = { id: string; user: string; text: string; time: string };
@@ -20,6 +20,8 @@ export default function LiveRoomPage({ params }: { params: Promise<{ id: string
     const [joined, setJoined] = useState(false);
     const [isDemo, setIsDemo] = useState(false);
     const [isHost, setIsHost] = useState(false);
+    const canSpeakRef = useRef(false); // privileges the current ZEGO token was issued with
+    const renewTokenRef = useRef<((token: string) => void) | null>(null); // hands ZEGO a fresh token
     const [userName, setUserName] = useState("You");
 
     // Chat state
@@ -33,6 +35,52 @@ export default function LiveRoomPage({ params }: { params: Promise<{ id: string
 
     const token = getToken();
 
+    // Presence: the backend drops participants whose heartbeat stops
+    const roomApi = useCallback((action: "heartbeat" | "leave" | "hand", method = "POST") =>
+        fetch(`http://localhost:5000/api/rooms/${roomId}/${action}`, {
+            method,
+            headers: { Authorization: `Bearer ${getToken()}` },
+            keepalive: true, // lets the leave call finish while the page unloads
+        }).catch(() => null), [roomId]);
+
+    const leaveWithMessage = useCallback((message: string) => {
+        if (zegoRef.current) {
+            try { zegoRef.current.destroy(); } catch { /* ignore */ }
+            zegoRef.current = null;
+        }
+        setJoined(false);
+        setError(message);
+    }, []);
+
+    // The heartbeat also reports moderation: kicks/bans end the session, and a
+    // change in speaking rights rejoins so the controls match. Otherwise it
+    // carries the next short-lived ZEGO token, which replaces the current one.
+    const sendHeartbeat = useCallback(async () => {
+        const res = await roomApi("heartbeat");
+        if (!res) return;
+        const data = await res.json().catch(() => ({}));
+        if (res.status === 410 && (data.error === "kicked" || data.error === "banned")) {
+            leaveWithMessage("You were removed from this room by a host.");
+            return;
+        }
+        if (res.ok && typeof data.canSpeak === "boolean" && data.canSpeak !== canSpeakRef.current) {
+            window.location.reload();
+            return;
+        }
+        if (res.ok && data.token) renewTokenRef.current?.(data.token);
+    }, [roomApi, leaveWithMessage]);
+
+    useEffect(() => {
+        if (!joined) return;
+        const interval = setInterval(sendHeartbeat, 30000);
+        const onUnload = () => { roomApi("leave"); };
+        window.addEventListener("pagehide", onUnload);
+        return () => {
+            clearInterval(interval);
+            window.removeEventListener("pagehide", onUnload);
+        };
+    }, [joined, roomApi, sendHeartbeat]);
+
     useEffect(() => {
         chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
     }, [messages]);
@@ -63,11 +111,22 @@ export default function LiveRoomPage({ params }: { params: Promise<{ id: string
                         setLoading(false);
                         return;
                     }
+                    if (data.error === "room_ended") {
+                        setError("This room has ended.");
+                        setLoading(false);
+                        return;
+                    }
+                    if (data.error === "kicked" || data.error === "banned") {
+                        setError(data.message);
+                        setLoading(false);
+                        return;
+                    }
                     throw new Error(data.error || "Failed to get room token");
                 }
 
                 setUserName(data.userName || "You");
                 setIsHost(!!data.isHost);
+                canSpeakRef.current = !!data.canSpeak;
 
                 // If ZEGOCLOUD not configured, run in demo mode
                 if (data.demo) {
@@ -95,6 +154,17 @@ export default function LiveRoomPage({ params }: { params: Promise<{ id: string
 
                 const zp = ZegoUIKitPrebuilt.create(kitToken);
                 zegoRef.current = zp;
+                // Goes through zegoRef (a no-op once the room is destroyed); the
+                // SDK's typings leave out renewToken's kit token argument
+                renewTokenRef.current = (fresh: string) => {
+                    zegoRef.current?.renewToken(ZegoUIKitPrebuilt.generateKitTokenForProduction(
+                        data.appId,
+                        fresh,
+                        roomId,
+                        data.userId,
+                        data.userName
+                    ));
+                };
 
                 zp.joinRoom({
                     container: containerRef.current!,
@@ -106,16 +176,18 @@ export default function LiveRoomPage({ params }: { params: Promise<{ id: string
                     showRoomTimer: true,
                     showLeaveRoomConfirmDialog: false,
                     turnOnCameraWhenJoining: false,   // start with camera off (user can enable)
-                    turnOnMicrophoneWhenJoining: !!data.isHost, // host starts unmuted
-                    showMyCameraToggleButton: true,
-                    showMyMicrophoneToggleButton: true,
+                    turnOnMicrophoneWhenJoining: !!data.isHost && !!data.canSpeak, // host starts unmuted
+                    // Listeners' tokens can't publish, so don't offer mic/camera
+                    showMyCameraToggleButton: !!data.canSpeak,
+                    showMyMicrophoneToggleButton: !!data.canSpeak,
                     showAudioVideoSettingsButton: true,
-                    showScreenSharingButton: true,
+                    showScreenSharingButton: !!data.canSpeak,
                     showTextChat: true,
                     showUserList: true,
                     maxUsers: 50,
                     layout: "Auto",
                     onLeaveRoom: () => {
+                        roomApi("leave");
                         router.push("/live-rooms");
                     },
                     onUserAvatarSetter: (userList: any[]) => {
@@ -161,6 +233,7 @@ export default function LiveRoomPage({ params }: { params: Promise<{ id: string
     };
 
     const handleLeave = () => {
+        roomApi("leave");
         if (zegoRef.current) {
             try { zegoRef.current.destroy(); } catch { /* ignore */ }
             zegoRef.current = null;
@@ -169,7 +242,10 @@ export default function LiveRoomPage({ params }: { params: Promise<{ id: string
     };
 
     const toggleMute = () => setMuted((m) => !m);
-    const toggleHand = () => setHandRaised((h) => !h);
+    const toggleHand = () => {
+        roomApi("hand", handRaised ? "DELETE" : "POST");
+        setHandRaised((h) => !h);
+    };
 
     return (
         <div style={{ height: "100vh", background: "#050810", display: "flex", flexDirection: "column", overflow: "hidden" }}>
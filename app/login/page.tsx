@@ -38,7 +38,7 @@ export default function LoginPage() {
 
       // ✅ Save auth info (sessionStorage = per-tab, so multiple users can
       //   be logged in simultaneously in different browser tabs)
-      saveSession(data.token, data.user);
+      saveSession(data.token, data.user, data.refreshToken);
 
       router.push("/");
     } catch (err) {
@@ -159,6 +159,12 @@ export default function LoginPage() {
             </div>
           </div>
 
+          <div className="mt-2 text-right">
+            <a href="/reset-password" className="text-xs text-slate-500 hover:text-blue-400 transition-colors">
+              Forgot password?
+            </a>
+          </div>
+
           {/* Error */}
           {error && (
             <div className="mt-4 flex items-center gap-2.5 p-3 rounded-xl bg-red-500/10 border border-red-500/20">
@@ -1,13 +1,41 @@
 "use client";
-import { getToken } from "@/lib/auth";
+import { clearSession, getToken, refreshSession } from "@/lib/auth";
 import Link from "next/link";
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useState } from "react";
 
 
 export default function Home() {
   const [posts, setPosts] = useState<any[]>([]);
   const [selectedTag, setSelectedTag] = useState<string | null>(null);
   const [loading, setLoading] = useState(true);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const feedUrl = useCallback((cursor?: string | null) => {
+    const params = new URLSearchParams();
+    if (selectedTag) params.set("tag", selectedTag);
+    if (cursor) params.set("cursor", cursor);
+    const qs = params.toString();
+    return `http://localhost:5000/api/posts${qs ? `?${qs}` : ""}`;
+  }, [selectedTag]);
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const res = await fetch(feedUrl(nextCursor), {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (!res.ok) throw new Error(`Failed to fetch posts (${res.status})`);
+      const data = await res.json();
+      setPosts((prev) => [...prev, ...(data.posts || [])]);
+      setNextCursor(data.nextCursor || null);
+    } catch (error) {
+      console.error("Error fetching more posts:", error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
 
   useEffect(() => {
     const token = getToken();
@@ -17,31 +45,31 @@ export default function Home() {
       return;
     }
 
-    let url = "http://localhost:5000/api/posts";
-    if (selectedTag) {
-      url += `?tag=${selectedTag}`;
-    }
+    const load = (accessToken: string | null) =>
+      fetch(feedUrl(), {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
 
-    fetch(url, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-      },
-    })
+    load(token)
+      // Expired access token — refresh once and retry before giving up
+      .then(async (res) => (res.status === 401 && (await refreshSession()) ? load(getToken()) : res))
       .then(async (res) => {
         if (res.status === 401) {
-          sessionStorage.clear();
-          localStorage.clear();
+          clearSession();
           window.location.href = "/login";
-          return [];
+          return null;
         }
         if (!res.ok) {
           console.error("Failed to fetch posts", res.status);
-          return [];
+          return null;
         }
         return res.json();
       })
       .then((data) => {
-        setPosts(Array.isArray(data) ? data : []);
+        setPosts(Array.isArray(data?.posts) ? data.posts : []);
+        setNextCursor(data?.nextCursor || null);
         setLoading(false);
       })
       .catch((error) => {
@@ -49,7 +77,7 @@ export default function Home() {
         setPosts([]);
         setLoading(false);
       });
-  }, [selectedTag]);
+  }, [feedUrl]);
 
   if (loading) {
     return (
@@ -99,7 +127,7 @@ export default function Home() {
       {/* Post Count */}
       {posts.length > 0 && (
         <p className="text-xs font-mono text-slate-500 mb-5">
-          {posts.length} {posts.length === 1 ? "entry" : "entries"} found
+          {posts.length}{nextCursor ? "+" : ""} {posts.length === 1 ? "entry" : "entries"} found
         </p>
       )}
 
@@ -153,13 +181,32 @@ export default function Home() {
 
               {/* Content preview */}
               <p className="text-slate-400 text-sm leading-relaxed line-clamp-3">
-                {post.content}
+                {post.excerpt}{post.truncated ? "…" : ""}
               </p>
+
+              {/* Engagement */}
+              <div className="flex items-center gap-4 mt-3 text-xs font-mono text-slate-500">
+                <span>💬 {post.commentCount || 0}</span>
+                <span className={post.myReactions?.length ? "text-blue-400" : ""}>✦ {post.reactionCount || 0}</span>
+              </div>
             </div>
           </Link>
         ))}
       </div>
 
+      {/* Load more */}
+      {nextCursor && (
+        <div className="flex justify-center mt-8">
+          <button
+            onClick={loadMore}
+            disabled={loadingMore}
+            className="px-5 py-2.5 bg-navy-800 hover:bg-navy-700 disabled:opacity-50 text-slate-300 text-sm font-medium rounded-xl border border-navy-700 transition-colors"
+          >
+            {loadingMore ? "Loading..." : "Load more"}
+          </button>
+        </div>
+      )}
+
       {/* Empty state */}
       {posts.length === 0 && (
         <div className="flex flex-col items-center justify-center py-24 text-center">
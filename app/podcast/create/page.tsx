@@ -1,4 +1,5 @@
 "use client";
+import { getToken } from "@/lib/auth";
 import { useState } from "react";
 
 export default function CreatePodcast() {
@@ -19,6 +20,7 @@ export default function CreatePodcast() {
         "http://localhost:5000/api/posts/upload-audio",
         {
           method: "POST",
+          headers: { Authorization: `Bearer ${getToken()}` },
           body: formData,
         }
       );
@@ -31,6 +33,7 @@ export default function CreatePodcast() {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
+        Authorization: `Bearer ${getToken()}`,
       },
       body: JSON.stringify({
         title,
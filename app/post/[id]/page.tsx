@@ -1,6 +1,6 @@
 "use client";
 
-import { getToken } from "@/lib/auth";
+import { getToken, getUser } from "@/lib/auth";
 import { use, useEffect, useState } from "react";
 
 
@@ -11,9 +11,19 @@ type Post = {
   createdAt: string;
   tags: string[];
   audioUrl?: string;
+  transcript?: {
+    text?: string;
+    segments?: { start: number; end: number; text: string }[];
+    status?: "pending" | "ready" | "failed";
+  };
   aiFeedback?: {
     summary: string;
+    suggestions?: string[];
+    questions?: string[];
+    insight?: string;
+    status?: "pending" | "ready" | "failed";
   };
+  createdBy?: { _id: string; name: string };
   reactions?: {
     agree: number;
     insightful: number;
@@ -25,8 +35,15 @@ type Comment = {
   _id: string;
   text: string;
   createdAt: string;
+  editedAt?: string | null;
+  deleted?: boolean;
+  createdBy?: { _id: string; name: string };
+  replies?: Comment[];
 };
 
+const countComments = (list: Comment[]): number =>
+  list.reduce((n, c) => n + (c.deleted ? 0 : 1) + countComments(c.replies || []), 0);
+
 export default function PostDetail({
   params,
 }: {
@@ -37,10 +54,14 @@ export default function PostDetail({
   const [post, setPost] = useState<Post | null>(null);
   const [comments, setComments] = useState<Comment[]>([]);
   const [newComment, setNewComment] = useState("");
+  const [myReactions, setMyReactions] = useState<string[]>([]);
+  const [replyTo, setReplyTo] = useState<Comment | null>(null);
 
   // ✅ Fetch post
   useEffect(() => {
-    fetch(`http://localhost:5000/api/posts/${id}`)
+    fetch(`http://localhost:5000/api/posts/${id}`, {
+      headers: { Authorization: `Bearer ${getToken()}` },
+    })
       .then((res) => {
         if (!res.ok) throw new Error("Failed to fetch post");
         return res.json();
@@ -52,9 +73,60 @@ export default function PostDetail({
       });
   }, [id]);
 
+  // ✅ Fetch the current user's own reactions
+  useEffect(() => {
+    const token = getToken();
+    if (!token) return;
+    fetch(`http://localhost:5000/api/posts/${id}/reactions`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => data && setMyReactions(data.myReactions || []))
+      .catch((err) => console.error("Error fetching reactions:", err));
+  }, [id]);
+
+  // ✅ Poll AI feedback while it is still being generated
+  const feedbackStatus = post?.aiFeedback?.status;
+  useEffect(() => {
+    if (feedbackStatus !== "pending") return;
+    const token = getToken();
+    const timer = setInterval(async () => {
+      try {
+        const res = await fetch(`http://localhost:5000/api/posts/${id}/feedback`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        if (!res.ok) return;
+        const data = await res.json();
+        if (data.status !== "pending") {
+          setPost((prev) => (prev ? { ...prev, aiFeedback: data.aiFeedback } : prev));
+        }
+      } catch (err) {
+        console.error("Error polling feedback:", err);
+      }
+    }, 3000);
+    return () => clearInterval(timer);
+  }, [id, feedbackStatus]);
+
+  const regenerateFeedback = async () => {
+    const token = getToken();
+    try {
+      const res = await fetch(`http://localhost:5000/api/posts/${id}/regenerate-feedback`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!res.ok) throw new Error("Failed to regenerate feedback");
+      setPost((prev) => (prev ? { ...prev, aiFeedback: { summary: "", status: "pending" } } : prev));
+    } catch (error) {
+      console.error("Error regenerating feedback:", error);
+      alert("Failed to regenerate feedback. Please try again.");
+    }
+  };
+
   // ✅ Fetch comments
   useEffect(() => {
-    fetch(`http://localhost:5000/api/comments/${id}`)
+    fetch(`http://localhost:5000/api/comments/${id}`, {
+      headers: { Authorization: `Bearer ${getToken()}` },
+    })
       .then((res) => {
         if (!res.ok) throw new Error("Failed to fetch comments");
         return res.json();
@@ -81,6 +153,7 @@ export default function PostDetail({
         body: JSON.stringify({
           postId: id,
           text: newComment,
+          parentId: replyTo?._id,
         }),
       });
 
@@ -91,9 +164,11 @@ export default function PostDetail({
       }
 
       setNewComment("");
+      setReplyTo(null);
 
       const updated = await fetch(
-        `http://localhost:5000/api/comments/${id}`
+        `http://localhost:5000/api/comments/${id}`,
+        { headers: { Authorization: `Bearer ${token}` } }
       );
       if (updated.ok) {
         setComments(await updated.json());
@@ -124,18 +199,52 @@ export default function PostDetail({
         throw new Error("Failed to add reaction");
       }
 
-      const updatedReactions = await res.json();
+      const data = await res.json();
 
       setPost((prev: any) => ({
         ...prev,
-        reactions: updatedReactions,
+        reactions: data.reactions,
       }));
+      setMyReactions(data.myReactions || []);
     } catch (error) {
       console.error("Error adding reaction:", error);
       alert("Failed to add reaction. Please try again.");
     }
   };
 
+  // Recursive thread renderer — replies are indented under their parent
+  const renderComment = (c: Comment, index: number, depth = 0) => (
+    <div key={c._id} className={depth > 0 ? "ml-6 mt-3" : ""}>
+      <div
+        className="bg-abyss border border-navy-800 rounded-xl p-4"
+        style={{ animationDelay: `${index * 50}ms` }}
+      >
+        <div className="flex items-center gap-2 mb-2">
+          <div className="w-6 h-6 rounded-full bg-gradient-to-br from-blue-700 to-blue-900 flex items-center justify-center text-[10px] font-mono text-blue-200 flex-shrink-0">
+            {c.createdBy?.name?.[0]?.toUpperCase() || "U"}
+          </div>
+          {c.createdBy?.name && !c.deleted && (
+            <span className="text-xs text-slate-400">{c.createdBy.name}</span>
+          )}
+          <span className="text-xs text-slate-500 font-mono">
+            {new Date(c.createdAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+          </span>
+          {c.editedAt && !c.deleted && <span className="text-[10px] text-slate-600 font-mono">(edited)</span>}
+        </div>
+        <p className={`text-sm leading-relaxed pl-8 ${c.deleted ? "text-slate-600 italic" : "text-slate-300"}`}>{c.text}</p>
+        {!c.deleted && (
+          <button
+            onClick={() => setReplyTo(c)}
+            className="mt-2 ml-8 text-[11px] font-mono text-slate-500 hover:text-blue-400 transition-colors"
+          >
+            Reply
+          </button>
+        )}
+      </div>
+      {c.replies?.map((r, i) => renderComment(r, i, depth + 1))}
+    </div>
+  );
+
   if (!post) return (
     <div className="min-h-screen bg-void flex items-center justify-center">
       <div className="flex flex-col items-center gap-4">
@@ -211,6 +320,42 @@ export default function PostDetail({
               <source src={`http://localhost:5000${post.audioUrl}`} />
               Your browser does not support audio.
             </audio>
+            {post.transcript?.status === "pending" && (
+              <p className="mt-4 text-xs text-slate-500">Transcribing audio...</p>
+            )}
+            {post.transcript?.status === "ready" && !!post.transcript.segments?.length && (
+              <div className="mt-4 space-y-1.5 max-h-64 overflow-y-auto">
+                {post.transcript.segments.map((seg) => (
+                  <p key={seg.start} className="text-sm text-slate-400 leading-relaxed">
+                    <span className="font-mono text-xs text-slate-600 mr-2">
+                      {Math.floor(seg.start / 60)}:{String(Math.floor(seg.start % 60)).padStart(2, "0")}
+                    </span>
+                    {seg.text}
+                  </p>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* AI Feedback — pending / failed states */}
+        {post.aiFeedback?.status === "pending" && (
+          <div className="mb-8 p-5 bg-abyss border border-blue-800/30 rounded-2xl flex items-center gap-3">
+            <div className="w-5 h-5 rounded-full border-2 border-blue-500/30 border-t-blue-500 animate-spin" />
+            <p className="text-sm text-slate-400">AI feedback is being generated...</p>
+          </div>
+        )}
+        {post.aiFeedback?.status === "failed" && (
+          <div className="mb-8 p-5 bg-abyss border border-red-800/30 rounded-2xl flex items-center justify-between gap-3">
+            <p className="text-sm text-slate-400">AI feedback could not be generated.</p>
+            {post.createdBy?._id === getUser()?._id && (
+              <button
+                onClick={regenerateFeedback}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-500 text-white text-xs font-semibold rounded-lg transition-all"
+              >
+                Try again
+              </button>
+            )}
           </div>
         )}
 
@@ -230,9 +375,43 @@ export default function PostDetail({
                   <p className="text-xs text-slate-500">Generated analysis</p>
                 </div>
               </div>
-              <pre className="whitespace-pre-wrap text-slate-300 text-sm leading-relaxed font-sans">
+              <p className="text-slate-300 text-sm leading-relaxed">
                 {post.aiFeedback.summary}
-              </pre>
+              </p>
+
+              {(post.aiFeedback.suggestions?.length ?? 0) > 0 && (
+                <div className="mt-5">
+                  <p className="text-xs font-mono text-slate-500 uppercase tracking-wider mb-2">Suggestions</p>
+                  <ul className="space-y-1.5">
+                    {post.aiFeedback.suggestions?.map((s, i) => (
+                      <li key={i} className="flex gap-2 text-sm text-slate-300 leading-relaxed">
+                        <span className="text-blue-400">→</span>
+                        <span>{s}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {(post.aiFeedback.questions?.length ?? 0) > 0 && (
+                <div className="mt-5">
+                  <p className="text-xs font-mono text-slate-500 uppercase tracking-wider mb-2">Questions to consider</p>
+                  <ul className="space-y-1.5">
+                    {post.aiFeedback.questions?.map((q, i) => (
+                      <li key={i} className="flex gap-2 text-sm text-slate-300 leading-relaxed">
+                        <span className="text-blue-400">?</span>
+                        <span>{q}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {post.aiFeedback.insight && (
+                <p className="mt-5 pt-4 border-t border-blue-800/30 text-sm text-blue-200/80 italic leading-relaxed">
+                  {post.aiFeedback.insight}
+                </p>
+              )}
             </div>
           </div>
         )}
@@ -243,7 +422,7 @@ export default function PostDetail({
           <div className="flex gap-2">
             <button
               onClick={() => react("agree")}
-              className="flex items-center gap-2 px-4 py-2 rounded-xl bg-abyss border border-navy-800 hover:border-blue-500/30 hover:bg-navy-800/50 text-slate-300 hover:text-white transition-all group"
+              className={`flex items-center gap-2 px-4 py-2 rounded-xl bg-abyss border ${myReactions.includes("agree") ? "border-blue-500/60 bg-blue-500/10" : "border-navy-800"} hover:border-blue-500/30 hover:bg-navy-800/50 text-slate-300 hover:text-white transition-all group`}
             >
               <span className="text-base group-hover:scale-110 transition-transform">👍</span>
               <span className="text-xs font-mono text-slate-400">Agree</span>
@@ -252,7 +431,7 @@ export default function PostDetail({
 
             <button
               onClick={() => react("insightful")}
-              className="flex items-center gap-2 px-4 py-2 rounded-xl bg-abyss border border-navy-800 hover:border-blue-500/30 hover:bg-navy-800/50 text-slate-300 hover:text-white transition-all group"
+              className={`flex items-center gap-2 px-4 py-2 rounded-xl bg-abyss border ${myReactions.includes("insightful") ? "border-blue-500/60 bg-blue-500/10" : "border-navy-800"} hover:border-blue-500/30 hover:bg-navy-800/50 text-slate-300 hover:text-white transition-all group`}
             >
               <span className="text-base group-hover:scale-110 transition-transform">💡</span>
               <span className="text-xs font-mono text-slate-400">Insightful</span>
@@ -261,7 +440,7 @@ export default function PostDetail({
 
             <button
               onClick={() => react("idea")}
-              className="flex items-center gap-2 px-4 py-2 rounded-xl bg-abyss border border-navy-800 hover:border-blue-500/30 hover:bg-navy-800/50 text-slate-300 hover:text-white transition-all group"
+              className={`flex items-center gap-2 px-4 py-2 rounded-xl bg-abyss border ${myReactions.includes("idea") ? "border-blue-500/60 bg-blue-500/10" : "border-navy-800"} hover:border-blue-500/30 hover:bg-navy-800/50 text-slate-300 hover:text-white transition-all group`}
             >
               <span className="text-base group-hover:scale-110 transition-transform">🚀</span>
               <span className="text-xs font-mono text-slate-400">Good Idea</span>
@@ -279,13 +458,19 @@ export default function PostDetail({
             <h2 className="text-lg font-semibold text-white">Discussion</h2>
             {comments.length > 0 && (
               <span className="text-xs font-mono text-slate-500 bg-navy-800 px-2 py-0.5 rounded-full border border-navy-700">
-                {comments.length}
+                {countComments(comments)}
               </span>
             )}
           </div>
 
           {/* Comment input */}
           <div className="bg-abyss border border-navy-800 rounded-2xl p-4 mb-6">
+            {replyTo && (
+              <div className="flex items-center justify-between mb-3 pb-3 border-b border-navy-800 text-xs text-slate-500">
+                <span>Replying to {replyTo.createdBy?.name || "comment"}</span>
+                <button onClick={() => setReplyTo(null)} className="hover:text-red-400 transition-colors">Cancel</button>
+              </div>
+            )}
             <textarea
               className="w-full min-h-[100px] text-sm leading-relaxed resize-none placeholder:text-slate-600 focus:ring-0 bg-transparent !border-0 !shadow-none p-0"
               placeholder="Share your thoughts on this reflection..."
@@ -308,23 +493,7 @@ export default function PostDetail({
 
           {/* Comments list */}
           <div className="space-y-3">
-            {comments.map((c, index) => (
-              <div
-                key={c._id}
-                className="bg-abyss border border-navy-800 rounded-xl p-4"
-                style={{ animationDelay: `${index * 50}ms` }}
-              >
-                <div className="flex items-center gap-2 mb-2">
-                  <div className="w-6 h-6 rounded-full bg-gradient-to-br from-blue-700 to-blue-900 flex items-center justify-center text-[10px] font-mono text-blue-200 flex-shrink-0">
-                    U
-                  </div>
-                  <span className="text-xs text-slate-500 font-mono">
-                    {new Date(c.createdAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
-                  </span>
-                </div>
-                <p className="text-sm text-slate-300 leading-relaxed pl-8">{c.text}</p>
-              </div>
-            ))}
+            {comments.map((c, index) => renderComment(c, index))}
           </div>
 
           {comments.length === 0 && (
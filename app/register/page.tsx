@@ -159,6 +159,7 @@ export default function RegisterPage() {
   // Join specific
   const [inviteCode, setInviteCode] = useState("");
   const [resolvedOrg, setResolvedOrg] = useState<string | null>(null);
+  const [inviteEmailBound, setInviteEmailBound] = useState(false);
   const [lookupError, setLookupError] = useState("");
 
   const [error, setError] = useState("");
@@ -168,6 +169,7 @@ export default function RegisterPage() {
   // ── Live invite-code lookup ──────────────────────────────────────────────
   useEffect(() => {
     setResolvedOrg(null);
+    setInviteEmailBound(false);
     setLookupError("");
     if (inviteCode.trim().length < 8) return;
 
@@ -179,6 +181,7 @@ export default function RegisterPage() {
         if (res.ok) {
           const data = await res.json();
           setResolvedOrg(data.name);
+          setInviteEmailBound(!!data.emailBound);
           setLookupError("");
         } else {
           setResolvedOrg(null);
@@ -343,6 +346,11 @@ export default function RegisterPage() {
                     </p>
                   </div>
                 )}
+                {resolvedOrg && inviteEmailBound && (
+                  <p className="text-xs text-slate-400 mt-1 px-1">
+                    This invite is for a specific email address — use the one it was sent to.
+                  </p>
+                )}
                 {lookupError && (
                   <p className="text-xs text-red-400 mt-1.5 px-1">{lookupError}</p>
                 )}
@@ -0,0 +1,96 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+// Without ?token= the page asks for an email and sends a reset link;
+// with a token (from that email) it lets the user choose a new password.
+export default function ResetPasswordPage() {
+  const [token, setToken] = useState<string | null>(null);
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    setToken(new URLSearchParams(window.location.search).get("token"));
+  }, []);
+
+  const submit = async () => {
+    setError("");
+    setMessage("");
+    setIsLoading(true);
+
+    try {
+      const res = await fetch(
+        `http://localhost:5000/api/auth/${token ? "reset-password" : "forgot-password"}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(token ? { token, password } : { email }),
+        }
+      );
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.message || "Something went wrong");
+        return;
+      }
+      setMessage(data.message);
+    } catch (err) {
+      setError("Something went wrong");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-void flex items-center justify-center p-4">
+      <div className="w-full max-w-md bg-abyss border border-navy-800 rounded-2xl p-8 shadow-2xl shadow-black/50">
+        <h2 className="font-display text-3xl text-white">{token ? "Choose a new password" : "Reset password"}</h2>
+        <p className="mt-1.5 mb-6 text-slate-400 text-sm">
+          {token ? "Pick something you haven't used before." : "We'll email you a link to reset it."}
+        </p>
+
+        {!message && (
+          <div className="space-y-1.5">
+            <label className="block text-xs font-mono text-slate-400 uppercase tracking-wider">
+              {token ? "New password" : "Email"}
+            </label>
+            <input
+              type={token ? "password" : "email"}
+              className="w-full rounded-xl px-4 py-3 text-sm placeholder:text-slate-600 focus:ring-0"
+              placeholder={token ? "••••••••" : "you@company.com"}
+              value={token ? password : email}
+              onChange={(e) => (token ? setPassword(e.target.value) : setEmail(e.target.value))}
+              onKeyDown={(e) => e.key === "Enter" && submit()}
+              autoComplete={token ? "new-password" : "email"}
+            />
+          </div>
+        )}
+
+        {error && (
+          <div className="mt-4 p-3 rounded-xl bg-red-500/10 border border-red-500/20">
+            <p className="text-xs text-red-400">{error}</p>
+          </div>
+        )}
+
+        {message ? (
+          <>
+            <p className="text-sm text-slate-300">{message}</p>
+            <a href="/login" className="mt-6 inline-block text-sm text-blue-400 hover:text-blue-300 font-medium transition-colors">
+              Back to sign in
+            </a>
+          </>
+        ) : (
+          <button
+            onClick={submit}
+            disabled={isLoading || !(token ? password.trim() : email.trim())}
+            className="mt-6 w-full py-3 bg-blue-600 hover:bg-blue-500 disabled:opacity-40 disabled:cursor-not-allowed text-white text-sm font-semibold rounded-xl transition-all"
+          >
+            {isLoading ? "Please wait..." : token ? "Set password" : "Send reset link"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+export default function VerifyEmailPage() {
+  const [status, setStatus] = useState<"verifying" | "done" | "error">("verifying");
+  const [message, setMessage] = useState("");
+
+  // Token comes from the link in the verification email
+  useEffect(() => {
+    const token = new URLSearchParams(window.location.search).get("token");
+    if (!token) {
+      setStatus("error");
+      setMessage("This verification link is missing its token.");
+      return;
+    }
+
+    fetch("http://localhost:5000/api/auth/verify-email", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token }),
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        setStatus(res.ok ? "done" : "error");
+        setMessage(data.message || "");
+      })
+      .catch(() => {
+        setStatus("error");
+        setMessage("Verification failed. Please try again.");
+      });
+  }, []);
+
+  return (
+    <div className="min-h-screen bg-void flex items-center justify-center p-4">
+      <div className="w-full max-w-md bg-abyss border border-navy-800 rounded-2xl p-8 shadow-2xl shadow-black/50 text-center">
+        <h2 className="font-display text-3xl text-white mb-3">Email verification</h2>
+
+        {status === "verifying" && (
+          <div className="flex flex-col items-center gap-4 mt-6">
+            <div className="w-10 h-10 rounded-full border-2 border-blue-500/30 border-t-blue-500 animate-spin" />
+            <p className="text-slate-500 text-sm font-mono">Verifying...</p>
+          </div>
+        )}
+
+        {status === "done" && (
+          <p className="text-slate-400 text-sm">Your email is confirmed. You now have full access.</p>
+        )}
+
+        {status === "error" && (
+          <p className="text-red-400 text-sm">{message}</p>
+        )}
+
+        {status !== "verifying" && (
+          <a
+            href="/login"
+            className="mt-6 inline-block px-5 py-2.5 bg-blue-600 hover:bg-blue-500 text-white text-sm font-medium rounded-xl transition-colors"
+          >
+            Go to sign in
+          </a>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+// ─── Plan → entitlements ────────────────────────────────────────────────
+// What each plan unlocks. `features` are on/off switches checked with
+// requireFeature(); `quotas` are limits on metered usage (null = unlimited),
+// tracked by services/entitlementService.js. Routers never compare plan
+// names themselves.
+const PLANS = {
+  free: {
+    features: {
+      liveRooms: false,
+      streaks: false,
+      aiFeedback: true,
+      audioUpload: true,
+    },
+    quotas: {
+      aiFeedback: 20, // generations per month
+      roomMinutes: 0, // per month
+      audioStorageMb: 100, // in total
+    },
+  },
+  pro: {
+    features: {
+      liveRooms: true,
+      streaks: true,
+      aiFeedback: true,
+      audioUpload: true,
+    },
+    quotas: {
+      aiFeedback: 300,
+      roomMinutes: 1200,
+      audioStorageMb: 5 * 1024,
+    },
+  },
+  enterprise: {
+    features: {
+      liveRooms: true,
+      streaks: true,
+      aiFeedback: true,
+      audioUpload: true,
+    },
+    quotas: {
+      aiFeedback: null,
+      roomMinutes: 6000,
+      audioStorageMb: 20 * 1024,
+    },
+  },
+};
+
+// How each metered quantity accumulates: "month" resets on the 1st (UTC), "total" never does
+const METRICS = {
+  aiFeedback: { period: "month", unit: "generations" },
+  roomMinutes: { period: "month", unit: "minutes" },
+  audioStorageMb: { period: "total", unit: "MB" },
+};
+
+const planConfig = (plan) => PLANS[plan] || PLANS.free;
+
+/** Whether the plan includes a feature. */
+const hasFeature = (plan, feature) => !!planConfig(plan).features[feature];
+
+/** The plan's limit for a metric (null = unlimited). */
+const quotaFor = (plan, metric) => {
+  const quotas = planConfig(plan).quotas;
+  return metric in quotas ? quotas[metric] : 0;
+};
+
+module.exports = { PLANS, METRICS, hasFeature, quotaFor };
@@ -0,0 +1,55 @@
+const User = require("../models/User");
+
+// ─── Role → action policy ───────────────────────────────────────────────
+// Each role lists the actions it may perform and over what scope:
+//   "org"     — everyone in the organisation
+//   "reports" — the user themselves plus the members who report to them (User.reportsTo)
+// Anything not listed is denied. Routers check actions through can() /
+// requirePermission() instead of comparing role names.
+const POLICY = {
+  admin: {
+    "analytics:view": "org",
+    "posts:moderate": "org",
+    "comments:moderate": "org",
+    "members:list": "org",
+    "members:manage": "org",
+    "invites:manage": "org",
+    "teams:manage": "org",
+    "org:settings": "org",
+    "billing:manage": "org",
+  },
+  manager: {
+    "analytics:view": "reports",
+    "posts:moderate": "reports",
+    "comments:moderate": "reports",
+    "members:list": "reports",
+  },
+  member: {},
+};
+
+/** Scope ("org" | "reports") the user has for an action, or null when denied. */
+function can(user, action) {
+  if (!user || user.active === false) return null;
+  return (POLICY[user.role] || {})[action] || null;
+}
+
+/**
+ * User ids an action covers for this user: null means the whole organisation,
+ * otherwise an array (self + direct reports). Returns [] when denied.
+ */
+async function scopedUserIds(user, action) {
+  const scope = can(user, action);
+  if (scope === "org") return null;
+  if (scope !== "reports") return [];
+  const reports = await User.find({ organization: user.organization, reportsTo: user._id }).distinct("_id");
+  return [user._id, ...reports];
+}
+
+/** Whether the user may perform the action on something owned by `ownerId`. */
+async function canActOn(user, action, ownerId) {
+  const ids = await scopedUserIds(user, action);
+  if (ids === null) return true;
+  return ids.some((id) => id.toString() === ownerId.toString());
+}
+
+module.exports = { POLICY, can, scopedUserIds, canActOn };
@@ -0,0 +1,66 @@
+// ─── Plan catalog ───────────────────────────────────────────────────────
+// What we sell and for how much. Amounts are in the currency's smallest
+// unit (paise, cents). `billing` says who buys the plan: "personal" plans go
+// through /create-checkout, "organization" plans are bought per seat through
+// /org/checkout. What a plan unlocks lives in config/entitlements.js.
+//
+// Stripe prices are created on first use (matched by lookup key), or pinned
+// with STRIPE_PRICE_<PLAN>_<INTERVAL>_<CURRENCY>, e.g. STRIPE_PRICE_PRO_YEAR_USD.
+const CATALOG = {
+  pro: {
+    name: "WorkReflect — Pro Plan",
+    description: "Live Rooms, Reflection Streaks & Gamification, AI summaries & more",
+    billing: "personal",
+    trialDays: 14,
+    prices: {
+      month: { inr: 15000, usd: 300, eur: 300 },
+      year: { inr: 150000, usd: 3000, eur: 3000 }, // two months free
+    },
+  },
+  enterprise: {
+    name: "WorkReflect — Enterprise seat",
+    description: "Every Pro feature for each seat you assign in your organisation",
+    billing: "organization",
+    trialDays: 14,
+    prices: {
+      month: { inr: 15000, usd: 300, eur: 300 },
+      year: { inr: 150000, usd: 3000, eur: 3000 },
+    },
+  },
+};
+
+const INTERVALS = ["month", "year"];
+const DEFAULT_CURRENCY = (process.env.BILLING_DEFAULT_CURRENCY || "inr").toLowerCase();
+
+/**
+ * Validate a plan/interval/currency choice against the catalog.
+ * Returns { plan, interval, currency, amount, entry } or { error }.
+ */
+function resolvePlanChoice({ plan, interval = "month", currency = DEFAULT_CURRENCY }, billing) {
+  const entry = CATALOG[plan];
+  if (!entry || entry.billing !== billing) {
+    const names = Object.keys(CATALOG).filter((p) => CATALOG[p].billing === billing);
+    return { error: `plan must be one of: ${names.join(", ")}` };
+  }
+  if (!INTERVALS.includes(interval)) return { error: `interval must be one of: ${INTERVALS.join(", ")}` };
+
+  const cur = String(currency).toLowerCase();
+  const amount = entry.prices[interval]?.[cur];
+  if (!amount) {
+    return { error: `currency must be one of: ${Object.keys(entry.prices[interval] || {}).join(", ")}` };
+  }
+  return { plan, interval, currency: cur, amount, entry };
+}
+
+/** Public view of the catalog for pricing pages. */
+const catalogView = () =>
+  Object.entries(CATALOG).map(([id, p]) => ({
+    id,
+    name: p.name,
+    description: p.description,
+    billing: p.billing,
+    trialDays: p.trialDays,
+    prices: p.prices,
+  }));
+
+module.exports = { CATALOG, INTERVALS, DEFAULT_CURRENCY, resolvePlanChoice, catalogView };
@@ -0,0 +1,60 @@
+// ─── Rate limits ────────────────────────────────────────────────────────
+// Per-route limits. A route can have an `ip` bucket and an `account` bucket
+// (keyed by the email in the request body); a request must fit in both.
+// Any bucket can be overridden with RATE_LIMIT_<ROUTE>_<BUCKET>="max/seconds",
+// e.g. RATE_LIMIT_LOGIN_IP="50/900".
+
+const MINUTE = 60 * 1000;
+
+const DEFAULT_LIMITS = {
+  login: {
+    ip: { max: 20, windowMs: 15 * MINUTE },
+    account: { max: 10, windowMs: 15 * MINUTE },
+  },
+  register: {
+    ip: { max: 10, windowMs: 60 * MINUTE },
+  },
+  inviteLookup: {
+    ip: { max: 30, windowMs: 15 * MINUTE },
+  },
+  passwordReset: {
+    ip: { max: 10, windowMs: 60 * MINUTE },
+    account: { max: 3, windowMs: 60 * MINUTE },
+  },
+};
+
+// Progressive lockout after failed logins: from `threshold` consecutive
+// failures on, each further failure doubles the lock (baseMs, 2×, 4× … maxMs).
+// Failures are counted in a fixed `windowMs` window that starts at the first
+// failure (later ones don't extend it), and are cleared by a good login.
+const LOGIN_LOCKOUT = {
+  threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  baseMs: MINUTE,
+  maxMs: (Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60) * MINUTE,
+  windowMs: 24 * 60 * MINUTE,
+};
+
+const envName = (route, bucket) =>
+  `RATE_LIMIT_${route.replace(/([a-z])([A-Z])/g, "$1_$2")}_${bucket}`.toUpperCase();
+
+const parseOverride = (value) => {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value).trim());
+  return match ? { max: Number(match[1]), windowMs: Number(match[2]) * 1000 } : null;
+};
+
+/** The effective limits of a route, env overrides applied. Throws for unknown routes. */
+function getLimits(route) {
+  const defaults = DEFAULT_LIMITS[route];
+  if (!defaults) throw new Error(`Unknown rate limit route: ${route}`);
+
+  const limits = {};
+  for (const [bucket, limit] of Object.entries(defaults)) {
+    const raw = process.env[envName(route, bucket)];
+    const override = raw && parseOverride(raw);
+    if (raw && !override) console.warn(`⚠️  Ignoring ${envName(route, bucket)}="${raw}" (expected "max/seconds")`);
+    limits[bucket] = override || limit;
+  }
+  return limits;
+}
+
+module.exports = { getLimits, LOGIN_LOCKOUT };
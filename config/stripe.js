@@ -0,0 +1,10 @@
+// Shared Stripe client — null when the package or key is missing, so
+// callers can answer 503 instead of crashing at require time.
+let stripe = null;
+try {
+  stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+} catch (e) {
+  console.warn("⚠️  Stripe not configured (missing package or STRIPE_SECRET_KEY)");
+}
+
+module.exports = stripe;
@@ -40,7 +40,7 @@ export function getUser(): any | null {
  * getToken() always checks sessionStorage first, so if a tab has its own
  * session it takes priority over the shared localStorage value.
  */
-export function saveSession(token: string, user: any): void {
+export function saveSession(token: string, user: any, refreshToken?: string): void {
     if (typeof window === "undefined") return;
     // Per-tab session (for multi-user testing)
     sessionStorage.setItem("token", token);
@@ -48,6 +48,46 @@ export function saveSession(token: string, user: any): void {
     // Persistent session (survives Stripe redirects, refreshes)
     localStorage.setItem("token", token);
     localStorage.setItem("user", JSON.stringify(user));
+    if (refreshToken) {
+        sessionStorage.setItem("refreshToken", refreshToken);
+        localStorage.setItem("refreshToken", refreshToken);
+    }
+}
+
+/**
+ * Refresh tokens rotate on every use, so the freshest copy wins. When this
+ * tab and localStorage hold the same user, localStorage is newer (any tab of
+ * that user writes it); otherwise the tab's own session is used.
+ */
+export function getRefreshToken(): string | null {
+    if (typeof window === "undefined") return null;
+    const tabUser = sessionStorage.getItem("user");
+    const sharedUser = localStorage.getItem("user");
+    const tabToken = sessionStorage.getItem("refreshToken");
+    if (tabToken && tabUser !== sharedUser) return tabToken;
+    return localStorage.getItem("refreshToken") || tabToken || null;
+}
+
+/**
+ * Exchange the refresh token for a new access token (both are rotated).
+ * Returns false when the session is gone and the user has to log in again.
+ */
+export async function refreshSession(): Promise<boolean> {
+    const refreshToken = getRefreshToken();
+    if (!refreshToken) return false;
+    try {
+        const res = await fetch("http://localhost:5000/api/auth/refresh", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ refreshToken }),
+        });
+        if (!res.ok) return false;
+        const data = await res.json();
+        saveSession(data.token, getUser(), data.refreshToken);
+        return true;
+    } catch {
+        return false;
+    }
 }
 
 /** Clear both storage layers for full logout. */
@@ -55,6 +95,21 @@ export function clearSession(): void {
     if (typeof window === "undefined") return;
     sessionStorage.removeItem("token");
     sessionStorage.removeItem("user");
+    sessionStorage.removeItem("refreshToken");
     localStorage.removeItem("token");
     localStorage.removeItem("user");
+    localStorage.removeItem("refreshToken");
+}
+
+/** End the session on the server (revokes the refresh token), then clear storage. */
+export async function logout(): Promise<void> {
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+        await fetch("http://localhost:5000/api/auth/logout", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ refreshToken }),
+        }).catch(() => undefined);
+    }
+    clearSession();
 }
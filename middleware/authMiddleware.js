@@ -1,5 +1,9 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { isSessionActive } = require("../services/tokenService");
+
+// Tokens issued (iat, in seconds) before this moment are no longer accepted
+const issuedBefore = (decoded, date) => date && decoded.iat < Math.floor(date.getTime() / 1000);
 
 module.exports = async function (req, res, next) {
   const authHeader = req.headers.authorization;
@@ -13,13 +17,26 @@ module.exports = async function (req, res, next) {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Legacy tokens were signed without an expiry or session — force a fresh login
+    if (!decoded.exp || !decoded.sid) return res.status(401).json("Token expired");
+
     const user = await User.findById(decoded.id);
 
     if (!user) return res.status(401).json("User not found");
+    if (!user.active) return res.status(401).json("Account deactivated");
+
+    if (issuedBefore(decoded, user.passwordChangedAt) || issuedBefore(decoded, user.tokensValidAfter)) {
+      return res.status(401).json("Token revoked");
+    }
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json("Session ended");
+    }
 
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (err) {
+    if (err.name === "TokenExpiredError") return res.status(401).json("Token expired");
     return res.status(401).json("Invalid token");
   }
 };
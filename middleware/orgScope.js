@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const Team = require("../models/Team");
+
+// ─── Organisation scoping ───────────────────────────────────────────────
+// Every post/comment/team lookup goes through here so a document from another
+// organisation is indistinguishable from one that doesn't exist: both get
+// the same 404, and malformed ids never reach Mongo as a CastError.
+// Must run after authMiddleware (needs req.user).
+
+const notFound = (res, what) => res.status(404).json({ error: `${what} not found` });
+
+/** Find a post by id, but only inside the caller's organisation. */
+function findOrgPost(req, postId) {
+  if (!mongoose.isValidObjectId(postId)) return Promise.resolve(null);
+  return Post.findOne({ _id: postId, organization: req.user.organization });
+}
+
+/** Find a comment by id whose post belongs to the caller's organisation. */
+async function findOrgComment(req, commentId) {
+  if (!mongoose.isValidObjectId(commentId)) return null;
+  const comment = await Comment.findById(commentId);
+  if (!comment) return null;
+  const inOrg = await Post.exists({ _id: comment.postId, organization: req.user.organization });
+  return inOrg ? comment : null;
+}
+
+/** Find a team by id, but only inside the caller's organisation. */
+function findOrgTeam(req, teamId) {
+  if (!mongoose.isValidObjectId(teamId)) return Promise.resolve(null);
+  return Team.findOne({ _id: teamId, organization: req.user.organization });
+}
+
+/**
+ * Middleware: load the org's post into req.post or 404.
+ * `getId` picks the id from the request (defaults to req.params.id).
+ */
+const requireOrgPost = (getId = (req) => req.params.id) => async (req, res, next) => {
+  try {
+    const post = await findOrgPost(req, getId(req));
+    if (!post) return notFound(res, "Post");
+    req.post = post;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load post", details: err.message });
+  }
+};
+
+/** Middleware: load the org's comment (by req.params.id) into req.comment or 404. */
+const requireOrgComment = async (req, res, next) => {
+  try {
+    const comment = await findOrgComment(req, req.params.id);
+    if (!comment) return notFound(res, "Comment");
+    req.comment = comment;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load comment", details: err.message });
+  }
+};
+
+/** Middleware: load the org's team (by req.params.id) into req.team or 404. */
+const requireOrgTeam = async (req, res, next) => {
+  try {
+    const team = await findOrgTeam(req, req.params.id);
+    if (!team) return notFound(res, "Team");
+    req.team = team;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load team", details: err.message });
+  }
+};
+
+module.exports = {
+  findOrgPost,
+  findOrgComment,
+  findOrgTeam,
+  requireOrgPost,
+  requireOrgComment,
+  requireOrgTeam,
+};
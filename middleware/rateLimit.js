@@ -0,0 +1,56 @@
+const { getLimits } = require("../config/rateLimits");
+const { consume } = require("../services/rateLimiter");
+const { accountKey } = require("../services/loginLockout");
+
+// ─── Rate limiting ──────────────────────────────────────────────────────
+// rateLimit("login") applies the route's buckets from config/rateLimits.js:
+// `ip` is keyed by req.ip, `account` by req.body.email (skipped when absent).
+
+const retryMessage = (ms) => {
+  const minutes = Math.ceil(ms / 60000);
+  return `Too many attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`;
+};
+
+/** Send the 429 every limiter and the login lockout use. */
+const tooManyRequests = (res, retryAfterMs) => {
+  res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+  // `message` for the auth pages, `error` for everything else
+  res.status(429).json({ error: "too_many_requests", message: retryMessage(retryAfterMs) });
+};
+
+const rateLimit = (route) => {
+  const limits = getLimits(route); // fail at startup on a typo
+
+  return async (req, res, next) => {
+    try {
+      const buckets = [];
+      if (limits.ip) buckets.push([`${route}:ip:${req.ip}`, limits.ip]);
+      const account = limits.account && accountKey(req.body?.email);
+      if (account) buckets.push([`${route}:account:${account}`, limits.account]);
+
+      const results = await Promise.all(buckets.map(([key, limit]) => consume(key, limit)));
+      if (!results.length) return next();
+
+      // Headers describe the tightest bucket
+      const tightest = results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+      res.set({
+        "RateLimit-Limit": String(tightest.limit),
+        "RateLimit-Remaining": String(tightest.remaining),
+        "RateLimit-Reset": String(Math.max(0, Math.ceil((tightest.resetAt - Date.now()) / 1000))),
+      });
+
+      const blocked = results.filter((r) => !r.allowed);
+      if (blocked.length) {
+        return tooManyRequests(res, Math.max(...blocked.map((r) => r.resetAt - Date.now())));
+      }
+      next();
+    } catch (err) {
+      // A broken store must not take the whole API down with it
+      console.error("⚠️  Rate limiter unavailable:", err.message);
+      next();
+    }
+  };
+};
+
+module.exports = rateLimit;
+module.exports.tooManyRequests = tooManyRequests;
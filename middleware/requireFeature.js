@@ -0,0 +1,22 @@
+const { hasFeature } = require("../config/entitlements");
+const { getEffectivePlan } = require("../services/billingService");
+
+// Route guard for a plan feature in config/entitlements.js. Answers 403
+// premium_required (what the upgrade prompts on the frontend look for) and
+// exposes the resolved plan as req.plan. Must run after authMiddleware.
+module.exports = (feature) => async (req, res, next) => {
+  try {
+    const { plan } = await getEffectivePlan(req.user);
+    if (!hasFeature(plan, feature)) {
+      return res.status(403).json({
+        error: "premium_required",
+        feature,
+        message: "Upgrade your plan to use this feature.",
+      });
+    }
+    req.plan = plan;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: "Failed to check plan", details: err.message });
+  }
+};
@@ -0,0 +1,12 @@
+const { can } = require("../config/permissions");
+
+// Route guard for an action in config/permissions.js. Exposes the granted
+// scope as req.permissionScope ("org" | "reports"). Must run after authMiddleware.
+module.exports = (action) => (req, res, next) => {
+  const scope = can(req.user, action);
+  if (!scope) {
+    return res.status(403).json({ error: "You don't have permission to do that" });
+  }
+  req.permissionScope = scope;
+  next();
+};
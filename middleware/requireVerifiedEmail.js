@@ -0,0 +1,11 @@
+// Blocks actions that need a confirmed email address (e.g. creating an org).
+// Must run after authMiddleware.
+module.exports = function (req, res, next) {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      error: "email_unverified",
+      message: "Please verify your email address first.",
+    });
+  }
+  next();
+};
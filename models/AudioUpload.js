@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// An audio file uploaded through /api/posts/upload-audio, with the size the
+// upload reported. Posts read the size back from here when they are saved
+// with the file's URL, so it never has to come from the client.
+const AudioUploadSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    publicId: { type: String, required: true }, // Cloudinary public_id
+    bytes: { type: Number, required: true },
+  },
+  { timestamps: true }
+);
+
+AudioUploadSchema.index({ publicId: 1 }, { unique: true });
+
+module.exports = mongoose.model("AudioUpload", AudioUploadSchema);
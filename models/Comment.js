@@ -6,6 +6,12 @@ const CommentSchema = new mongoose.Schema(
       ref: "Post",
       required: true,
     },
+    // Reply threading — null for top-level comments
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
     text: {
       type: String,
       required: true,
@@ -15,8 +21,21 @@ const CommentSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Org members @mentioned in the text (drives notifications)
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    editedAt: { type: Date, default: null },
+    // Comments with replies are blanked rather than removed so the thread stays intact
+    deleted: { type: Boolean, default: false },
   },
   { timestamps: true }
 );
 
+CommentSchema.index({ postId: 1, createdAt: 1 });
+CommentSchema.index({ text: "text" }, { name: "comment_text" });
+
 module.exports = mongoose.model("Comment", CommentSchema);
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// An invite link/code into an organisation. Several can be active at once,
+// each with its own limits. Organization.inviteCode remains as the legacy,
+// unlimited code.
+const InviteSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    code: { type: String, required: true, unique: true },
+    label: { type: String, default: "" },
+    role: { type: String, enum: ["member", "manager"], default: "member" },
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      default: null,
+    },
+    email: { type: String, default: null, lowercase: true, trim: true }, // only this address may use it
+    expiresAt: { type: Date, default: null }, // null = never
+    maxUses: { type: Number, default: null, min: 1 }, // null = unlimited
+    uses: { type: Number, default: 0 },
+    redemptions: [
+      {
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        usedAt: { type: Date, default: Date.now },
+      },
+    ],
+    revokedAt: { type: Date, default: null },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+InviteSchema.index({ organization: 1, createdAt: -1 });
+
+// active | revoked | expired | used_up
+InviteSchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt && this.expiresAt <= new Date()) return "expired";
+  if (this.maxUses !== null && this.uses >= this.maxUses) return "used_up";
+  return "active";
+});
+
+InviteSchema.set("toJSON", { virtuals: true });
+
+module.exports = mongoose.model("Invite", InviteSchema);
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// Local copy of Stripe invoices (from invoice.* webhooks) for billing history.
+// Belongs to a user (personal Pro) or an organisation (enterprise seats).
+const InvoiceSchema = new mongoose.Schema(
+  {
+    stripeInvoiceId: { type: String, required: true, unique: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    organization: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", default: null },
+    customer: { type: String, default: null },
+    subscription: { type: String, default: null },
+    number: { type: String, default: null },
+    status: { type: String, default: "open" }, // draft | open | paid | uncollectible | void
+    currency: { type: String, default: "inr" },
+    amountDue: { type: Number, default: 0 }, // smallest currency unit (paise)
+    amountPaid: { type: Number, default: 0 },
+    attemptCount: { type: Number, default: 0 },
+    nextPaymentAttempt: { type: Date, default: null },
+    periodStart: { type: Date, default: null },
+    periodEnd: { type: Date, default: null },
+    paidAt: { type: Date, default: null },
+    hostedInvoiceUrl: { type: String, default: null },
+    invoicePdf: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+InvoiceSchema.index({ user: 1, createdAt: -1 });
+InvoiceSchema.index({ organization: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Invoice", InvoiceSchema);
@@ -2,5 +2,18 @@ const mongoose = require("mongoose");
 const OrganizationSchema = new mongoose.Schema({
   name: { type: String, required: true },
   inviteCode: { type: String, required: true }, // simple invite system
+  // AI provider override (falls back to AI_PROVIDER env when unset)
+  aiProvider: { type: String, enum: ["openrouter", "groq", "gemini", null], default: null },
+  aiModel: { type: String, default: null },
+  // Org-wide subscription: the admin buys `seats` and hands them out
+  plan: { type: String, enum: ["free", "enterprise"], default: "free" },
+  seats: { type: Number, default: 0 }, // mirrors the Stripe subscription quantity
+  seatHolders: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  stripeCustomerId: { type: String, default: null },
+  stripeSubscriptionId: { type: String, default: null },
+  subscriptionStatus: { type: String, default: "inactive" },
+  pastDueSince: { type: Date, default: null }, // start of the payment grace period
+  trialUsedAt: { type: Date, default: null }, // one free trial per organisation
+  trialHeldUntil: { type: Date, default: null }, // a checkout offering the trial is open until then
 }, { timestamps: true });
 module.exports = mongoose.model("Organization", OrganizationSchema);
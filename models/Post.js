@@ -6,7 +6,14 @@ const PostSchema = new mongoose.Schema({
   aiFeedback: {
     summary: String,
     suggestions: [String],
-    questions: [String]
+    questions: [String],
+    insight: String,
+    // Generation state — filled in by services/feedbackWorker.js
+    status: { type: String, enum: ["pending", "ready", "failed"] },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: Date,
+    error: String,
+    generatedAt: Date
   },
   tags: {
     type: [String],
@@ -20,6 +27,13 @@ const PostSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "User"
   },
+  // Optional team label for filtering (feed, analytics, podcast). Not an access
+  // restriction: every member of the org can still read the post.
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Team",
+    default: null
+  },
   audioUrl: {
     type: String,
     default: null,
@@ -28,6 +42,28 @@ const PostSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  // Size of the audio file, looked up from Cloudinary, for the podcast feed's <enclosure length>
+  audioBytes: {
+    type: Number,
+    default: null,
+  },
+  // Speech-to-text of audioUrl — filled in by services/transcriptionWorker.js.
+  // Segment times are seconds from the start of the audio.
+  transcript: {
+    text: String,
+    segments: [{ _id: false, start: Number, end: Number, text: String }],
+    language: String,
+    durationSeconds: Number,
+    provider: String,
+    status: { type: String, enum: ["pending", "ready", "failed"] },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: Date,
+    error: String,
+    transcribedAt: Date
+  },
+  // Incremented on every edit; earlier versions live in PostRevision
+  version: { type: Number, default: 1 },
+  editedAt: { type: Date, default: null },
   reactions: {
     agree: { type: Number, default: 0 },
     insightful: { type: Number, default: 0 },
@@ -35,5 +71,17 @@ const PostSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+PostSchema.index({ organization: 1, createdAt: -1, _id: -1 }); // feed pagination
+PostSchema.index({ organization: 1, team: 1, createdAt: -1 });
+PostSchema.index({ "aiFeedback.status": 1, "aiFeedback.nextAttemptAt": 1 });
+PostSchema.index({ "transcript.status": 1, "transcript.nextAttemptAt": 1 });
+// Full-text search (services/searchService.js) — title matches count most.
+// A collection has a single text index, so changing its fields means a new
+// name here and a startup step that drops the old one (services/migrations.js).
+PostSchema.index(
+  { title: "text", content: "text", "transcript.text": "text", "aiFeedback.summary": "text" },
+  { name: "post_text_v2", weights: { title: 10, content: 4, "transcript.text": 3, "aiFeedback.summary": 2 } }
+);
+
 module.exports = mongoose.model("Post", PostSchema);
 //this will be post model for backend
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// Snapshot of a post as it was *before* an edit. Version N holds the
+// post's state at version N; the live Post document is always the latest version.
+const PostRevisionSchema = new mongoose.Schema(
+  {
+    postId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    version: { type: Number, required: true },
+    title: String,
+    content: String,
+    tags: { type: [String], default: [] },
+    audioUrl: { type: String, default: null },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+PostRevisionSchema.index({ postId: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model("PostRevision", PostRevisionSchema);
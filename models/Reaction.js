@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+const REACTION_TYPES = ["agree", "insightful", "idea"];
+
+// One document per (post, user, type) — a user can leave each reaction type once.
+// Post.reactions keeps the per-type totals as a denormalised cache of these rows.
+const ReactionSchema = new mongoose.Schema(
+  {
+    postId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: REACTION_TYPES,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+ReactionSchema.index({ postId: 1, createdBy: 1, type: 1 }, { unique: true });
+
+const Reaction = mongoose.model("Reaction", ReactionSchema);
+Reaction.TYPES = REACTION_TYPES;
+
+module.exports = Reaction;
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Server-side refresh tokens. Only a SHA-256 hash of the token is stored.
+// Every login starts a new `family` (one per device/session); each refresh
+// rotates to a new token in the same family and revokes the old one.
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    replacedBy: { type: String, default: null }, // tokenHash of the rotated successor
+    userAgent: String,
+    ip: String,
+  },
+  { timestamps: true }
+);
+
+RefreshTokenSchema.index({ user: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ family: 1 });
+// Let Mongo drop expired tokens on its own
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", RefreshTokenSchema);
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+
+// A live audio/video room. Each join opens a participant session (leftAt
+// null while present); a participant who rejoins gets a new session, so the
+// list doubles as attendance history.
+const ParticipantSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    joinedAt: { type: Date, default: Date.now },
+    leftAt: { type: Date, default: null },
+    lastSeenAt: { type: Date, default: Date.now }, // heartbeat; stale sessions are closed by the sweeper
+  },
+  { _id: false }
+);
+
+const InviteeSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    rsvp: { type: String, enum: ["pending", "yes", "no", "maybe"], default: "pending" },
+    respondedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const RoomSchema = new mongoose.Schema(
+  {
+    roomId: { type: String, required: true, unique: true }, // public id used by ZEGO and the frontend URLs
+    title: { type: String, required: true },
+    description: { type: String, default: "" },
+    type: { type: String, enum: ["audio", "video"], default: "audio" },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    host: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // scheduled → live (automatically at scheduledFor) → ended; a scheduled room can be cancelled
+    status: { type: String, enum: ["scheduled", "live", "ended", "cancelled"], default: "live" },
+    scheduledFor: { type: Date, default: null },
+    durationMinutes: { type: Number, default: 60 }, // planned length, for calendars
+    // Weekly series: every occurrence is its own Room sharing series.id (the
+    // first occurrence's _id) and series.startsAt. The sweeper creates the
+    // next occurrence once the current one's start time has passed.
+    series: {
+      id: { type: mongoose.Schema.Types.ObjectId, default: null },
+      startsAt: { type: Date, default: null },
+      until: { type: Date, default: null }, // last possible start (null = no end)
+      nextCreated: { type: Boolean, default: false },
+    },
+    invitees: [InviteeSchema],
+    // Who may enter: everyone in the org, only invitees, or members of `team`
+    privacy: { type: String, enum: ["org", "invite", "team"], default: "org" },
+    team: { type: mongoose.Schema.Types.ObjectId, ref: "Team", default: null },
+    // Roles & moderation. Audio rooms: only host, co-hosts and speakers may
+    // publish audio; everyone else listens and can raise a hand.
+    coHosts: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    speakers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    handRaises: [
+      {
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        raisedAt: { type: Date, default: Date.now },
+      },
+    ],
+    muted: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // may not publish until unmuted
+    kicks: [
+      {
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        until: Date, // can't rejoin before this
+      },
+    ],
+    banned: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    startedAt: { type: Date, default: null },
+    endedAt: { type: Date, default: null },
+    durationSeconds: { type: Number, default: null },
+    endedReason: { type: String, enum: ["host", "empty", "expired", "missed", null], default: null },
+    lastActivityAt: { type: Date, default: Date.now }, // last join/leave/heartbeat
+    participants: [ParticipantSchema],
+  },
+  { timestamps: true }
+);
+
+RoomSchema.index({ organization: 1, status: 1, startedAt: -1 });
+RoomSchema.index({ organization: 1, status: 1, endedAt: -1 });
+RoomSchema.index({ status: 1, lastActivityAt: 1 });
+RoomSchema.index({ status: 1, scheduledFor: 1 });
+RoomSchema.index({ "invitees.user": 1, scheduledFor: 1 });
+// One occurrence per series and start time, even with several sweepers running
+RoomSchema.index(
+  { "series.id": 1, scheduledFor: 1 },
+  { unique: true, partialFilterExpression: { "series.id": { $type: "objectId" } } }
+);
+
+module.exports = mongoose.model("Room", RoomSchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// Log of every Stripe webhook event we received. The unique eventId makes
+// processing idempotent (Stripe delivers at least once); failed events are
+// retried with backoff and can be replayed by hand.
+const StripeEventSchema = new mongoose.Schema(
+  {
+    eventId: { type: String, required: true, unique: true },
+    type: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    // pending → processed | ignored (no handler) | failed (gave up retrying)
+    status: {
+      type: String,
+      enum: ["pending", "processed", "ignored", "failed"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    error: { type: String, default: null },
+    processedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+StripeEventSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model("StripeEvent", StripeEventSchema);
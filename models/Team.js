@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// A group of people inside an organisation (e.g. Engineering, Design).
+// Leads are always also members.
+const TeamSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    members: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    leads: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+TeamSchema.index({ organization: 1, name: 1 }, { unique: true, collation: { locale: "en", strength: 2 } });
+TeamSchema.index({ members: 1 });
+
+module.exports = mongoose.model("Team", TeamSchema);
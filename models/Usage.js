@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// Metered usage per user: one counter per metric and period
+// ("2026-10" for monthly metrics, "total" for running totals).
+const UsageSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    metric: { type: String, required: true },
+    period: { type: String, required: true },
+    used: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+UsageSchema.index({ user: 1, metric: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model("Usage", UsageSchema);
@@ -12,6 +12,24 @@ const UserSchema = new mongoose.Schema({
     enum: ["admin", "manager", "member"],
     default: "member"
   },
+  // Direct manager — gives that manager scoped analytics/moderation over this user
+  reportsTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  invitedVia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Invite",
+    default: null
+  },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date, default: null },
+  // --- Session security ---
+  active: { type: Boolean, default: true }, // false = deactivated, cannot log in
+  removedAt: { type: Date, default: null }, // removed from the org by an admin (also deactivated)
+  passwordChangedAt: { type: Date, default: null },
+  tokensValidAfter: { type: Date, default: null }, // "log out all devices"
   // --- Subscription / billing ---
   plan: {
     type: String,
@@ -20,6 +38,13 @@ const UserSchema = new mongoose.Schema({
   },
   stripeCustomerId: { type: String, default: null },
   stripeSubscriptionId: { type: String, default: null },
-  subscriptionStatus: { type: String, default: "inactive" } // active | inactive | canceled
+  subscriptionStatus: { type: String, default: "inactive" }, // Stripe status, or inactive when never subscribed
+  pastDueSince: { type: Date, default: null }, // start of the payment grace period
+  trialUsedAt: { type: Date, default: null }, // one free trial per account
+  trialHeldUntil: { type: Date, default: null }, // a checkout offering the trial is open until then
+  // --- Calendar ---
+  calendarFeedTokenHash: { type: String, default: null }, // sha256 of the secret in the ICS feed URL
+  // --- Podcast ---
+  podcastFeedTokenHash: { type: String, default: null } // sha256 of the secret in the RSS feed URL
 }, { timestamps: true });
 module.exports = mongoose.model("User", UserSchema);
@@ -3,43 +3,82 @@ const router = express.Router();
 const Post = require("../models/Post");
 const Comment = require("../models/Comment");
 const User = require("../models/User");
+const Reaction = require("../models/Reaction");
 const authMiddleware = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
+const requireFeature = require("../middleware/requireFeature");
+const { scopedUserIds } = require("../config/permissions");
+const { findOrgTeam } = require("../middleware/orgScope");
+
+// Middleware: resolve which people the caller's analytics cover.
+// Admins see the whole org; managers see themselves + their direct reports.
+// ?team=<id> narrows to posts labelled with that team and the team's members;
+// comments then count only on those posts, so post and comment metrics cover
+// the same reflections.
+// Sets req.scope.posts / req.scope.members / req.scope.commentPosts /
+// req.scope.commentAuthors filters (comments: authors in scope, on commentPosts).
+const analyticsScope = async (req, res, next) => {
+    try {
+        const orgId = req.user.organization;
+        const ids = await scopedUserIds(req.user, "analytics:view");
+
+        let team = null;
+        if (req.query.team) {
+            team = await findOrgTeam(req, req.query.team);
+            if (!team) return res.status(404).json({ error: "Team not found" });
+        }
 
-// Middleware: Admin only
-const adminOnly = (req, res, next) => {
-    if (req.user.role !== "admin") {
-        return res.status(403).json({ error: "Admin access required" });
+        // People in scope: intersection of the permission scope and the team
+        let people = ids;
+        if (team) {
+            people = ids
+                ? team.members.filter((m) => ids.some((id) => id.toString() === m.toString()))
+                : team.members;
+        }
+
+        req.scope = {
+            posts: {
+                organization: orgId,
+                ...(ids ? { createdBy: { $in: ids } } : {}),
+                ...(team ? { team: team._id } : {}),
+            },
+            members: { organization: orgId, ...(people ? { _id: { $in: people } } : {}) },
+            commentPosts: { organization: orgId, ...(team ? { team: team._id } : {}) },
+            commentAuthors: people ? { createdBy: { $in: people } } : {},
+        };
+        next();
+    } catch (err) {
+        res.status(500).json({ error: "Failed to resolve analytics scope", details: err.message });
     }
-    next();
 };
 
+const canViewAnalytics = [authMiddleware, requirePermission("analytics:view"), analyticsScope];
+
 // ─── GET /api/analytics/overview ───────────────────────────────────────────
 // Returns core engagement metrics
-router.get("/overview", authMiddleware, adminOnly, async (req, res) => {
+router.get("/overview", canViewAnalytics, async (req, res) => {
     try {
-        const orgId = req.user.organization;
-
         const [totalPosts, totalComments, totalMembers] = await Promise.all([
-            Post.countDocuments({ organization: orgId }),
+            Post.countDocuments(req.scope.posts),
             Comment.countDocuments({
-                postId: { $in: await Post.find({ organization: orgId }).distinct("_id") }
+                postId: { $in: await Post.find(req.scope.commentPosts).distinct("_id") },
+                ...req.scope.commentAuthors,
             }),
-            User.countDocuments({ organization: orgId }),
+            User.countDocuments(req.scope.members),
         ]);
 
         // Posts in last 30 days
         const thirtyDaysAgo = new Date();
         thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
         const recentPosts = await Post.countDocuments({
-            organization: orgId,
+            ...req.scope.posts,
             createdAt: { $gte: thirtyDaysAgo },
         });
 
-        // Total reactions
-        const posts = await Post.find({ organization: orgId });
-        const totalReactions = posts.reduce((sum, p) => {
-            return sum + (p.reactions?.agree || 0) + (p.reactions?.insightful || 0) + (p.reactions?.idea || 0);
-        }, 0);
+        // Total reactions (one per user, post and type)
+        const totalReactions = await Reaction.countDocuments({
+            postId: { $in: await Post.find(req.scope.posts).distinct("_id") },
+        });
 
         res.json({ totalPosts, totalComments, totalMembers, recentPosts, totalReactions });
     } catch (err) {
@@ -49,10 +88,9 @@ router.get("/overview", authMiddleware, adminOnly, async (req, res) => {
 
 // ─── GET /api/analytics/top-topics ─────────────────────────────────────────
 // Most used tags across all posts
-router.get("/top-topics", authMiddleware, adminOnly, async (req, res) => {
+router.get("/top-topics", canViewAnalytics, async (req, res) => {
     try {
-        const orgId = req.user.organization;
-        const posts = await Post.find({ organization: orgId });
+        const posts = await Post.find(req.scope.posts);
 
         const tagCount = {};
         posts.forEach((post) => {
@@ -75,21 +113,19 @@ router.get("/top-topics", authMiddleware, adminOnly, async (req, res) => {
 
 // ─── GET /api/analytics/participation ──────────────────────────────────────
 // Per-member post + comment counts
-router.get("/participation", authMiddleware, adminOnly, async (req, res) => {
+router.get("/participation", canViewAnalytics, async (req, res) => {
     try {
-        const orgId = req.user.organization;
-
-        const members = await User.find({ organization: orgId }).select("name email role");
-        const orgPostIds = await Post.find({ organization: orgId }).distinct("_id");
+        const members = await User.find(req.scope.members).select("name email role");
+        const commentPostIds = await Post.find(req.scope.commentPosts).distinct("_id");
 
         const participation = await Promise.all(
             members.map(async (member) => {
                 const postCount = await Post.countDocuments({
-                    organization: orgId,
+                    ...req.scope.posts,
                     createdBy: member._id,
                 });
                 const commentCount = await Comment.countDocuments({
-                    postId: { $in: orgPostIds },
+                    postId: { $in: commentPostIds },
                     createdBy: member._id,
                 });
                 return {
@@ -112,19 +148,29 @@ router.get("/participation", authMiddleware, adminOnly, async (req, res) => {
 
 // ─── GET /api/analytics/sentiment ──────────────────────────────────────────
 // Reaction distribution over time (agree / insightful / idea)
-router.get("/sentiment", authMiddleware, adminOnly, async (req, res) => {
+router.get("/sentiment", canViewAnalytics, async (req, res) => {
     try {
-        const orgId = req.user.organization;
-
         // Group posts by week for last 12 weeks
         const twelveWeeksAgo = new Date();
         twelveWeeksAgo.setDate(twelveWeeksAgo.getDate() - 84);
 
         const posts = await Post.find({
-            organization: orgId,
+            ...req.scope.posts,
             createdAt: { $gte: twelveWeeksAgo },
         }).sort({ createdAt: 1 });
 
+        // Count de-duplicated reactions per post and type
+        const reactionCounts = {};
+        const grouped = await Reaction.aggregate([
+            { $match: { postId: { $in: posts.map((p) => p._id) } } },
+            { $group: { _id: { postId: "$postId", type: "$type" }, count: { $sum: 1 } } },
+        ]);
+        grouped.forEach(({ _id, count }) => {
+            const id = _id.postId.toString();
+            reactionCounts[id] = reactionCounts[id] || {};
+            reactionCounts[id][_id.type] = count;
+        });
+
         // Build weekly buckets
         const weeks = {};
         posts.forEach((post) => {
@@ -137,9 +183,10 @@ router.get("/sentiment", authMiddleware, adminOnly, async (req, res) => {
             const key = weekStart.toISOString().split("T")[0];
 
             if (!weeks[key]) weeks[key] = { week: key, agree: 0, insightful: 0, idea: 0, posts: 0 };
-            weeks[key].agree += post.reactions?.agree || 0;
-            weeks[key].insightful += post.reactions?.insightful || 0;
-            weeks[key].idea += post.reactions?.idea || 0;
+            const counts = reactionCounts[post._id.toString()] || {};
+            weeks[key].agree += counts.agree || 0;
+            weeks[key].insightful += counts.insightful || 0;
+            weeks[key].idea += counts.idea || 0;
             weeks[key].posts += 1;
         });
 
@@ -152,15 +199,13 @@ router.get("/sentiment", authMiddleware, adminOnly, async (req, res) => {
 
 // ─── GET /api/analytics/growth ─────────────────────────────────────────────
 // Post count grouped by day for last 30 days
-router.get("/growth", authMiddleware, adminOnly, async (req, res) => {
+router.get("/growth", canViewAnalytics, async (req, res) => {
     try {
-        const orgId = req.user.organization;
-
         const thirtyDaysAgo = new Date();
         thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
         const posts = await Post.find({
-            organization: orgId,
+            ...req.scope.posts,
             createdAt: { $gte: thirtyDaysAgo },
         }).sort({ createdAt: 1 });
 
@@ -182,7 +227,7 @@ router.get("/growth", authMiddleware, adminOnly, async (req, res) => {
         let cumulative = 0;
         // Get total posts before window
         const totalBefore = await Post.countDocuments({
-            organization: orgId,
+            ...req.scope.posts,
             createdAt: { $lt: thirtyDaysAgo },
         });
         cumulative = totalBefore;
@@ -200,13 +245,24 @@ router.get("/growth", authMiddleware, adminOnly, async (req, res) => {
 
 // ─── GET /api/analytics/streaks ───────────────────────────────────────────
 // Return per-member streak data + 365-day heatmap grid
-router.get("/streaks", authMiddleware, async (req, res) => {
+// ?team=<id> limits the leaderboard to that team's members (all of their posts count)
+router.get("/streaks", authMiddleware, requireFeature("streaks"), async (req, res) => {
     try {
         const orgId = req.user.organization;
         const requestingUserId = req.user._id.toString();
 
-        const members = await User.find({ organization: orgId }).select("name email role");
-        const allPosts = await Post.find({ organization: orgId }).select("createdBy createdAt").lean();
+        const memberQuery = { organization: orgId };
+        if (req.query.team) {
+            const team = await findOrgTeam(req, req.query.team);
+            if (!team) return res.status(404).json({ error: "Team not found" });
+            memberQuery._id = { $in: team.members };
+        }
+
+        const members = await User.find(memberQuery).select("name email role");
+        const allPosts = await Post.find({
+            organization: orgId,
+            createdBy: { $in: members.map((m) => m._id) },
+        }).select("createdBy createdAt").lean();
 
         // Helper: ISO date string (YYYY-MM-DD) for a Date
         const toDay = (d) => new Date(d).toISOString().split("T")[0];
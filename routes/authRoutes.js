@@ -2,18 +2,36 @@ const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const Organization = require("../models/Organization");
 const crypto = require("crypto");
 const authMiddleware = require("../middleware/authMiddleware");
+const rateLimit = require("../middleware/rateLimit");
+const { tooManyRequests } = rateLimit;
+const { getLockout, recordLoginFailure, clearLoginFailures } = require("../services/loginLockout");
+const RefreshToken = require("../models/RefreshToken");
+const {
+  issueSession,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  hashToken,
+  verifyActionToken,
+} = require("../services/tokenService");
+const { sendVerificationEmail, sendPasswordResetEmail } = require("../services/accountEmails");
+const {
+  resolveInvite,
+  claimInviteUse,
+  releaseInviteUse,
+  recordRedemption,
+} = require("../services/inviteService");
 
-// ─── Helper: generate JWT ────────────────────────────────────────────────
-const signToken = (user) =>
-  jwt.sign({ id: user._id, organization: user.organization }, process.env.JWT_SECRET);
+// Registration must not fail because the mail server is down — log and move on
+const trySendVerification = (user) =>
+  sendVerificationEmail(user).catch((err) => console.error("Verification email failed:", err.message));
 
 // ─── POST /api/auth/register/create-org ─────────────────────────────────
 // Bootstraps a brand-new organisation. Caller becomes the admin.
-router.post("/register/create-org", async (req, res) => {
+router.post("/register/create-org", rateLimit("register"), async (req, res) => {
   try {
     const { name, email, password, company } = req.body;
 
@@ -38,15 +56,16 @@ router.post("/register/create-org", async (req, res) => {
 
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    await User.create({
+    const user = await User.create({
       name,
       email,
       password: hashedPassword,
       organization: organization._id,
       role: "admin",
     });
+    await trySendVerification(user);
 
-    res.status(201).json({ message: "Organisation created. You can now log in." });
+    res.status(201).json({ message: "Organisation created. Check your inbox to verify your email, then log in." });
   } catch (err) {
     console.error("create-org error:", err);
     if (err.code === 11000) return res.status(400).json({ message: "Email already registered" });
@@ -55,8 +74,10 @@ router.post("/register/create-org", async (req, res) => {
 });
 
 // ─── POST /api/auth/register/join ────────────────────────────────────────
-// Join an existing organisation using an invite code.
-router.post("/register/join", async (req, res) => {
+// Join an existing organisation using an invite code. Invites can carry
+// an expiry, a use limit, a preset role/team and an email binding.
+router.post("/register/join", rateLimit("register"), async (req, res) => {
+  let claimed = null;
   try {
     const { name, email, password, inviteCode } = req.body;
 
@@ -64,25 +85,34 @@ router.post("/register/join", async (req, res) => {
       return res.status(400).json({ message: "All fields are required" });
     }
 
-    const organization = await Organization.findOne({ inviteCode: inviteCode.trim().toUpperCase() });
-    if (!organization) {
-      return res.status(400).json({ message: "Invalid invite code. Please check with your admin." });
-    }
+    const { organization, invite, error } = await resolveInvite(inviteCode, { email });
+    if (error) return res.status(400).json({ message: error });
 
     const existingUser = await User.findOne({ email });
     if (existingUser) {
       return res.status(400).json({ message: "Email already registered" });
     }
 
+    if (invite) {
+      if (!(await claimInviteUse(invite))) {
+        return res.status(400).json({ message: "This invite is no longer valid. Ask your admin for a new one." });
+      }
+      claimed = invite;
+    }
+
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    await User.create({
+    const user = await User.create({
       name,
       email,
       password: hashedPassword,
       organization: organization._id,
-      role: "member",
+      role: invite ? invite.role : "member",
+      invitedVia: invite ? invite._id : null,
     });
+    claimed = null;
+    if (invite) await recordRedemption(invite, user);
+    await trySendVerification(user);
 
     res.status(201).json({
       message: `Welcome to ${organization.name}! You can now log in.`,
@@ -90,27 +120,192 @@ router.post("/register/join", async (req, res) => {
     });
   } catch (err) {
     console.error("join error:", err);
+    // The account was never created — give the invite use back
+    if (claimed) await releaseInviteUse(claimed).catch(() => {});
     if (err.code === 11000) return res.status(400).json({ message: "Email already registered" });
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
 
 // ─── POST /api/auth/login ────────────────────────────────────────────────
-router.post("/login", async (req, res) => {
+// Failed attempts count towards a progressive per-account lockout.
+router.post("/login", rateLimit("login"), async (req, res) => {
   const { email, password } = req.body;
   try {
-    const user = await User.findOne({ email }).populate("organization", "name inviteCode");
-    if (!user) return res.status(400).json({ message: "User not found" });
+    if (!email || !password) return res.status(400).json({ message: "Email and password are required" });
 
-    const valid = await bcrypt.compare(password, user.password);
-    if (!valid) return res.status(400).json({ message: "Wrong password" });
+    const lockedFor = await getLockout(email);
+    if (lockedFor) return tooManyRequests(res, lockedFor);
 
-    const token = signToken(user);
-    res.json({ token, user });
+    const user = await User.findOne({ email: String(email).trim() }).populate("organization", "name inviteCode");
+    const valid = user && (await bcrypt.compare(String(password), user.password));
+    if (!valid) {
+      // Same answer for unknown emails and wrong passwords
+      const lockMs = await recordLoginFailure(email);
+      if (lockMs) return tooManyRequests(res, lockMs);
+      return res.status(400).json({ message: "Invalid email or password" });
+    }
+    if (!user.active) return res.status(403).json({ message: "This account has been deactivated" });
+
+    await clearLoginFailures(email);
+    const session = await issueSession(user, req);
+    res.json({ ...session, user });
   } catch (err) {
     console.error("Login error:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+// ─── POST /api/auth/refresh ──────────────────────────────────────────────
+// Trade a refresh token for a new access token + rotated refresh token.
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: "refreshToken is required" });
+
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (!result) return res.status(401).json({ message: "Invalid or expired refresh token" });
+
+    res.json(result.session);
+  } catch (err) {
+    console.error("Refresh error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ─── POST /api/auth/logout ───────────────────────────────────────────────
+// Ends the session the refresh token belongs to. Works with an expired access token.
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: "refreshToken is required" });
+
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (stored) await revokeFamily(stored.family);
+
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ─── POST /api/auth/logout-all ───────────────────────────────────────────
+// Ends every session of the current user, on every device.
+router.post("/logout-all", authMiddleware, async (req, res) => {
+  try {
+    await revokeAllForUser(req.user._id);
+    req.user.tokensValidAfter = new Date();
+    await req.user.save();
+    res.json({ message: "Logged out of all devices" });
+  } catch (err) {
+    console.error("Logout-all error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ─── POST /api/auth/forgot-password ──────────────────────────────────────
+// Emails a single-use reset link. Always answers the same way so the
+// endpoint can't be used to find out which emails have accounts.
+router.post("/forgot-password", rateLimit("passwordReset"), async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ message: "Email is required" });
+
+    const user = await User.findOne({ email: String(email).trim() });
+    if (user && user.active) {
+      await sendPasswordResetEmail(user).catch((err) => console.error("Reset email failed:", err.message));
+    }
+
+    res.json({ message: "If that email is registered, a reset link is on its way." });
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ─── POST /api/auth/reset-password ───────────────────────────────────────
+// Sets a new password from a reset token and signs the user out everywhere.
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) return res.status(400).json({ message: "Token and password are required" });
+
+    const user = await verifyActionToken(String(token), "reset-password");
+    if (!user) return res.status(400).json({ message: "This reset link is invalid or has expired" });
+
+    user.password = await bcrypt.hash(password, 10);
+    user.passwordChangedAt = new Date();
+    // The link proved the user controls the inbox
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeAllForUser(user._id);
+
+    res.json({ message: "Password updated. You can now log in." });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ─── POST /api/auth/verify-email ─────────────────────────────────────────
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ message: "Token is required" });
+
+    const user = await verifyActionToken(String(token), "verify-email");
+    if (!user) return res.status(400).json({ message: "This verification link is invalid or has expired" });
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({ message: "Email verified" });
+  } catch (err) {
+    console.error("Verify email error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ─── POST /api/auth/verify-email/resend ──────────────────────────────────
+router.post("/verify-email/resend", authMiddleware, rateLimit("passwordReset"), async (req, res) => {
+  try {
+    if (req.user.emailVerified) return res.status(400).json({ message: "Email already verified" });
+    await sendVerificationEmail(req.user);
+    res.json({ message: "Verification email sent" });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    res.status(500).json({ message: "Failed to send verification email" });
+  }
+});
+
+// ─── POST /api/auth/change-password ──────────────────────────────────────
+// Changing the password ends all other sessions; the caller gets a fresh one.
+router.post("/change-password", authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: "currentPassword and newPassword are required" });
+    }
+
+    const valid = await bcrypt.compare(currentPassword, req.user.password);
+    if (!valid) return res.status(400).json({ message: "Wrong password" });
+
+    req.user.password = await bcrypt.hash(newPassword, 10);
+    req.user.passwordChangedAt = new Date();
+    await req.user.save();
+    await revokeAllForUser(req.user._id);
+
+    const session = await issueSession(req.user, req);
+    res.json({ message: "Password changed", ...session });
+  } catch (err) {
+    console.error("Change password error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 module.exports = router;
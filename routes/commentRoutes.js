@@ -1,18 +1,57 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Comment = require("../models/Comment");
 const authMiddleware = require("../middleware/authMiddleware");
+const { findOrgPost, requireOrgPost, requireOrgComment } = require("../middleware/orgScope");
+const { resolveMentions } = require("../services/mentionService");
+const { canActOn } = require("../config/permissions");
 
-// Create comment
+// Turn a flat, oldest-first list into a tree: top-level comments newest first,
+// replies underneath in conversation order.
+function buildThread(comments) {
+  const byId = new Map();
+  comments.forEach((c) => byId.set(c._id.toString(), { ...c, replies: [] }));
+
+  const roots = [];
+  byId.forEach((node) => {
+    const parent = node.parentId && byId.get(node.parentId.toString());
+    if (parent) parent.replies.push(node);
+    else roots.push(node);
+  });
+
+  return roots.reverse();
+}
+
+// Create comment (or reply, when parentId is given)
 router.post("/create", authMiddleware, async (req, res) => {
   try {
-    const { postId, text } = req.body;
+    const { postId, text, parentId } = req.body;
 
     if (!postId || !text || !text.trim()) {
       return res.status(400).json({ error: "postId and text are required" });
     }
 
-    const comment = new Comment({ postId, text, createdBy: req.user._id });
+    const post = await findOrgPost(req, postId);
+    if (!post) return res.status(404).json({ error: "Post not found" });
+
+    // Deleted comments can't be replied to: they stay only as tombstones for
+    // existing replies, and a new reply would keep them from being cleaned up
+    if (parentId) {
+      const parent = mongoose.isValidObjectId(parentId)
+        && await Comment.findOne({ _id: parentId, postId: post._id, deleted: { $ne: true } });
+      if (!parent) return res.status(400).json({ error: "Parent comment not found on this post" });
+    }
+
+    const mentions = await resolveMentions(text, req.user.organization);
+
+    const comment = new Comment({
+      postId: post._id,
+      parentId: parentId || null,
+      text,
+      mentions,
+      createdBy: req.user._id,
+    });
     await comment.save();
 
     res.status(201).json({ success: true, comment });
@@ -22,20 +61,84 @@ router.post("/create", authMiddleware, async (req, res) => {
   }
 });
 
-// Get comments for a post
-router.get("/:postId", async (req, res) => {
+// Get comments for a post, as a reply tree
+router.get("/:postId", authMiddleware, requireOrgPost((req) => req.params.postId), async (req, res) => {
   try {
     const comments = await Comment.find({
-      postId: req.params.postId,
+      postId: req.post._id,
     })
     .populate("createdBy", "name role")
-    .sort({ createdAt: -1 });
+    .populate("mentions", "name")
+    .sort({ createdAt: 1 })
+    .lean();
 
-    res.json(comments);
+    res.json(buildThread(comments));
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: "Failed to fetch comments", details: error.message });
   }
 });
 
+// Edit comment — author only
+router.put("/:id", authMiddleware, requireOrgComment, async (req, res) => {
+  try {
+    const { text } = req.body;
+    if (!text || !text.trim()) {
+      return res.status(400).json({ error: "text is required" });
+    }
+
+    const comment = req.comment;
+    if (comment.deleted) return res.status(404).json({ error: "Comment not found" });
+    if (comment.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "Only the author can edit this comment" });
+    }
+
+    comment.text = text;
+    comment.mentions = await resolveMentions(text, req.user.organization);
+    comment.editedAt = new Date();
+    await comment.save();
+
+    res.json({ success: true, comment });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Failed to update comment", details: error.message });
+  }
+});
+
+// Delete comment — author or a moderator (admins org-wide, managers for their reports)
+router.delete("/:id", authMiddleware, requireOrgComment, async (req, res) => {
+  try {
+    const comment = req.comment;
+    if (comment.deleted) return res.status(404).json({ error: "Comment not found" });
+
+    const isAuthor = comment.createdBy.toString() === req.user._id.toString();
+    if (!isAuthor && !(await canActOn(req.user, "comments:moderate", comment.createdBy))) {
+      return res.status(403).json({ error: "Only the author or a moderator can delete this comment" });
+    }
+
+    const hasReplies = await Comment.exists({ parentId: comment._id });
+    if (hasReplies) {
+      comment.deleted = true;
+      comment.text = "[deleted]";
+      comment.mentions = [];
+      await comment.save();
+    } else {
+      await comment.deleteOne();
+      // Clean up tombstoned ancestors that no longer have any replies
+      let parentId = comment.parentId;
+      while (parentId) {
+        const parent = await Comment.findById(parentId);
+        if (!parent || !parent.deleted || (await Comment.exists({ parentId: parent._id }))) break;
+        await parent.deleteOne();
+        parentId = parent.parentId;
+      }
+    }
+
+    res.json({ success: true, message: "Comment deleted" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Failed to delete comment", details: error.message });
+  }
+});
+
 module.exports = router;
@@ -1,19 +1,25 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Organization = require("../models/Organization");
+const User = require("../models/User");
+const Team = require("../models/Team");
+const Invite = require("../models/Invite");
 const crypto = require("crypto");
+const { PROVIDER_NAMES } = require("../services/aiProviders");
 const authMiddleware = require("../middleware/authMiddleware");
+const requireVerifiedEmail = require("../middleware/requireVerifiedEmail");
+const { revokeAllForUser } = require("../services/tokenService");
+const requirePermission = require("../middleware/requirePermission");
+const rateLimit = require("../middleware/rateLimit");
+const { can, scopedUserIds } = require("../config/permissions");
+const { findOrgTeam } = require("../middleware/orgScope");
+const { generateInviteCode, resolveInvite } = require("../services/inviteService");
+const { releaseSeat } = require("../services/billingService");
 
-// Admin-only guard
-const adminOnly = (req, res, next) => {
-  if (req.user.role !== "admin") {
-    return res.status(403).json({ error: "Admin access required" });
-  }
-  next();
-};
 
 // ─── GET /api/org/my ────────────────────────────────────────────────────
-// Returns the current user's organisation info (including invite code for admins)
+// Returns the current user's organisation info (invite code / settings only for those who manage them)
 router.get("/my", authMiddleware, async (req, res) => {
   try {
     const org = await Organization.findById(req.user.organization);
@@ -24,7 +30,8 @@ router.get("/my", authMiddleware, async (req, res) => {
       _id: org._id,
       name: org.name,
       createdAt: org.createdAt,
-      ...(req.user.role === "admin" ? { inviteCode: org.inviteCode } : {}),
+      ...(can(req.user, "invites:manage") ? { inviteCode: org.inviteCode } : {}),
+      ...(can(req.user, "org:settings") ? { aiProvider: org.aiProvider, aiModel: org.aiModel } : {}),
     };
 
     res.json(data);
@@ -35,7 +42,7 @@ router.get("/my", authMiddleware, async (req, res) => {
 
 // ─── POST /api/org/regenerate-invite ────────────────────────────────────
 // Admin regenerates the invite code (invalidates old one)
-router.post("/regenerate-invite", authMiddleware, adminOnly, async (req, res) => {
+router.post("/regenerate-invite", authMiddleware, requireVerifiedEmail, requirePermission("invites:manage"), async (req, res) => {
   try {
     const newCode = crypto.randomBytes(4).toString("hex").toUpperCase();
     const org = await Organization.findByIdAndUpdate(
@@ -49,23 +56,353 @@ router.post("/regenerate-invite", authMiddleware, adminOnly, async (req, res) =>
   }
 });
 
+// ─── PUT /api/org/ai-settings ───────────────────────────────────────────
+// Admin picks the AI provider/model used for this organisation's feedback.
+// Send null for either field to go back to the server default.
+router.put("/ai-settings", authMiddleware, requirePermission("org:settings"), async (req, res) => {
+  try {
+    const { aiProvider = null, aiModel = null } = req.body;
+    if (aiProvider !== null && !PROVIDER_NAMES.includes(aiProvider)) {
+      return res.status(400).json({ error: `aiProvider must be one of: ${PROVIDER_NAMES.join(", ")}` });
+    }
+
+    const org = await Organization.findByIdAndUpdate(
+      req.user.organization,
+      { aiProvider, aiModel: aiModel ? String(aiModel).trim() : null },
+      { new: true }
+    );
+    res.json({ aiProvider: org.aiProvider, aiModel: org.aiModel });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to update AI settings", details: err.message });
+  }
+});
+
 // ─── GET /api/org/lookup/:code ──────────────────────────────────────────
-// Public — validate an invite code and return the org name (for register UX)
-router.get("/lookup/:code", async (req, res) => {
+// Public — validate an invite code and return the org name (for register UX).
+// An email-bound invite only reports that it is bound, never the address: the
+// code may have been forwarded, and the register form asks for the email anyway.
+router.get("/lookup/:code", rateLimit("inviteLookup"), async (req, res) => {
   try {
-    const org = await Organization.findOne({
-      inviteCode: req.params.code.trim().toUpperCase(),
-    }).select("name");
+    const { organization, invite, error } = await resolveInvite(req.params.code);
+    if (error) return res.status(404).json({ error });
 
-    if (!org) return res.status(404).json({ error: "Invalid invite code" });
-    res.json({ name: org.name });
+    res.json({
+      name: organization.name,
+      ...(invite ? { role: invite.role, emailBound: !!invite.email, expiresAt: invite.expiresAt } : {}),
+    });
   } catch (err) {
     res.status(500).json({ error: "Lookup failed", details: err.message });
   }
 });
 
+// ─── Invites ────────────────────────────────────────────────────────────
+const INVITE_ROLES = ["member", "manager"];
+
+const inviteView = (i) => ({
+  _id: i._id,
+  code: i.code,
+  label: i.label,
+  role: i.role,
+  team: i.team,
+  email: i.email,
+  expiresAt: i.expiresAt,
+  maxUses: i.maxUses,
+  uses: i.uses,
+  status: i.status,
+  redemptions: i.redemptions,
+  revokedAt: i.revokedAt,
+  createdBy: i.createdBy,
+  createdAt: i.createdAt,
+});
+
+// ─── GET /api/org/invites ───────────────────────────────────────────────
+// Every invite of the organisation (newest first) with who used it
+router.get("/invites", authMiddleware, requirePermission("invites:manage"), async (req, res) => {
+  try {
+    const invites = await Invite.find({ organization: req.user.organization })
+      .populate("team", "name")
+      .populate("createdBy", "name")
+      .populate("redemptions.user", "name email")
+      .sort({ createdAt: -1 });
+    res.json(invites.map(inviteView));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch invites", details: err.message });
+  }
+});
+
+// ─── POST /api/org/invites ──────────────────────────────────────────────
+// Body: { label?, role?, teamId?, email?, expiresInDays? | expiresAt?, maxUses? }
+router.post("/invites", authMiddleware, requireVerifiedEmail, requirePermission("invites:manage"), async (req, res) => {
+  try {
+    const { label = "", role = "member", teamId = null, email = null, expiresInDays, expiresAt, maxUses = null } = req.body;
+
+    if (!INVITE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${INVITE_ROLES.join(", ")}` });
+    }
+    if (maxUses !== null && !(Number.isInteger(maxUses) && maxUses >= 1)) {
+      return res.status(400).json({ error: "maxUses must be a positive whole number" });
+    }
+    if (email !== null && !/^\S+@\S+\.\S+$/.test(String(email))) {
+      return res.status(400).json({ error: "Invalid email" });
+    }
+
+    let expiry = null;
+    if (expiresInDays !== undefined) {
+      if (!(Number(expiresInDays) > 0)) return res.status(400).json({ error: "expiresInDays must be positive" });
+      expiry = new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000);
+    } else if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry) || expiry <= new Date()) {
+        return res.status(400).json({ error: "expiresAt must be a future date" });
+      }
+    }
+
+    if (teamId !== null && !(await findOrgTeam(req, teamId))) {
+      return res.status(404).json({ error: "Team not found" });
+    }
+
+    const invite = await Invite.create({
+      organization: req.user.organization,
+      code: generateInviteCode(),
+      label: String(label).trim(),
+      role,
+      team: teamId,
+      email,
+      expiresAt: expiry,
+      maxUses,
+      createdBy: req.user._id,
+    });
+    res.status(201).json(inviteView(invite));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to create invite", details: err.message });
+  }
+});
+
+// ─── DELETE /api/org/invites/:id ────────────────────────────────────────
+// Revokes the invite. It stays in the list so past redemptions remain visible.
+router.delete("/invites/:id", authMiddleware, requirePermission("invites:manage"), async (req, res) => {
+  try {
+    const invite = mongoose.isValidObjectId(req.params.id)
+      && await Invite.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!invite) return res.status(404).json({ error: "Invite not found" });
+
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      await invite.save();
+    }
+    res.json(inviteView(invite));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to revoke invite", details: err.message });
+  }
+});
+
+// ─── Member management ──────────────────────────────────────────────────
+const ROLES = ["admin", "manager", "member"];
+
+// Load a member of the caller's org into req.member, or 404
+const loadMember = async (req, res, next) => {
+  try {
+    const member = mongoose.isValidObjectId(req.params.id)
+      && await User.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!member) return res.status(404).json({ error: "Member not found" });
+    req.member = member;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load member", details: err.message });
+  }
+};
+
+// An org must always keep at least one active admin. Applies `changes` (which
+// take away the member's admin standing) and then recounts: if nobody else is
+// left the change is undone. Writing before counting means that of two admins
+// demoting each other at once, the later one always sees the earlier change.
+// Resolves to false when the change was refused.
+const stepDownAdmin = async (member, changes) => {
+  if (member.role !== "admin" || !member.active) return true;
+
+  const previous = Object.fromEntries(Object.keys(changes).map((key) => [key, member[key]]));
+  await User.updateOne({ _id: member._id }, { $set: changes });
+  const others = await User.countDocuments({
+    organization: member.organization,
+    role: "admin",
+    active: { $ne: false }, // accounts created before the flag existed are active
+    _id: { $ne: member._id },
+  });
+  if (others > 0) return true;
+
+  await User.updateOne({ _id: member._id }, { $set: previous });
+  return false;
+};
+
+const LAST_ADMIN_ERROR = { error: "The organisation must keep at least one admin. Promote someone else first." };
+
+// End every session of a member (role loss, deactivation, removal)
+const signOutEverywhere = async (member) => {
+  member.tokensValidAfter = new Date();
+  await revokeAllForUser(member._id);
+};
+
+const memberView = (m) => ({
+  _id: m._id,
+  name: m.name,
+  email: m.email,
+  role: m.role,
+  reportsTo: m.reportsTo,
+  active: m.active,
+  removed: !!m.removedAt,
+  emailVerified: m.emailVerified,
+  createdAt: m.createdAt,
+});
+
+// ─── GET /api/org/members ───────────────────────────────────────────────
+router.get("/members", authMiddleware, requirePermission("members:list"), async (req, res) => {
+  try {
+    // Managers only see the people who report to them
+    const ids = await scopedUserIds(req.user, "members:list");
+    const members = await User.find({
+      organization: req.user.organization,
+      ...(ids ? { _id: { $in: ids } } : {}),
+    })
+      .select("name email role reportsTo active removedAt emailVerified createdAt")
+      .sort({ createdAt: 1 });
+    res.json(members.map(memberView));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch members", details: err.message });
+  }
+});
+
+// ─── PATCH /api/org/members/:id/role ────────────────────────────────────
+// Promote or demote a member: { role: "admin" | "manager" | "member" }
+router.patch("/members/:id/role", authMiddleware, requirePermission("members:manage"), loadMember, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(", ")}` });
+    }
+    const member = req.member;
+    if (member.role === role) return res.json(memberView(member));
+    if (role !== "admin" && !(await stepDownAdmin(member, { role }))) return res.status(400).json(LAST_ADMIN_ERROR);
+
+    member.role = role;
+    await member.save();
+    res.json(memberView(member));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to change role", details: err.message });
+  }
+});
+
+// ─── PATCH /api/org/members/:id/manager ─────────────────────────────────
+// Set who a member reports to: { managerId } (null to clear)
+router.patch("/members/:id/manager", authMiddleware, requirePermission("members:manage"), loadMember, async (req, res) => {
+  try {
+    const { managerId = null } = req.body;
+    const member = req.member;
+
+    if (managerId !== null) {
+      if (!mongoose.isValidObjectId(managerId) || managerId === member._id.toString()) {
+        return res.status(400).json({ error: "Invalid managerId" });
+      }
+      const manager = await User.findOne({ _id: managerId, organization: req.user.organization });
+      if (!manager) return res.status(404).json({ error: "Manager not found" });
+      if (!["admin", "manager"].includes(manager.role)) {
+        return res.status(400).json({ error: "Members can only report to a manager or admin" });
+      }
+    }
+
+    member.reportsTo = managerId;
+    await member.save();
+    res.json(memberView(member));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to set manager", details: err.message });
+  }
+});
+
+// ─── POST /api/org/members/:id/deactivate ───────────────────────────────
+// Blocks login and ends all of the member's sessions. Their posts stay.
+router.post("/members/:id/deactivate", authMiddleware, requirePermission("members:manage"), loadMember, async (req, res) => {
+  try {
+    const member = req.member;
+    if (!member.active) return res.json(memberView(member));
+    if (!(await stepDownAdmin(member, { active: false }))) return res.status(400).json(LAST_ADMIN_ERROR);
+
+    member.active = false;
+    await signOutEverywhere(member);
+    await member.save();
+    res.json(memberView(member));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to deactivate member", details: err.message });
+  }
+});
+
+// ─── POST /api/org/members/:id/reactivate ───────────────────────────────
+// Also brings back members who were removed.
+router.post("/members/:id/reactivate", authMiddleware, requirePermission("members:manage"), loadMember, async (req, res) => {
+  try {
+    req.member.active = true;
+    req.member.removedAt = null;
+    await req.member.save();
+    res.json(memberView(req.member));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to reactivate member", details: err.message });
+  }
+});
+
+// ─── DELETE /api/org/members/:id ────────────────────────────────────────
+// Removes a member from the organisation: deactivated, demoted, taken off
+// teams and their seat. The account stays linked to the org (emails are
+// unique, so a detached account could never rejoin) and can be brought back
+// with reactivate. Reflections and comments they wrote are kept.
+router.delete("/members/:id", authMiddleware, requirePermission("members:manage"), loadMember, async (req, res) => {
+  try {
+    const member = req.member;
+    const removal = { role: "member", active: false, removedAt: new Date() };
+    if (!(await stepDownAdmin(member, removal))) return res.status(400).json(LAST_ADMIN_ERROR);
+
+    Object.assign(member, removal);
+    await signOutEverywhere(member);
+    await member.save();
+    await Team.updateMany(
+      { organization: req.user.organization },
+      { $pull: { members: member._id, leads: member._id } }
+    );
+    await releaseSeat(req.user.organization, member._id);
+    res.json({ message: "Member removed" });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to remove member", details: err.message });
+  }
+});
+
+// ─── POST /api/org/transfer-admin ───────────────────────────────────────
+// Hands the admin role to another active member; the caller steps down.
+// Body: { userId, demoteTo?: "manager" | "member" (default "member") }
+router.post("/transfer-admin", authMiddleware, requirePermission("members:manage"), async (req, res) => {
+  try {
+    const { userId, demoteTo = "member" } = req.body;
+    if (!["manager", "member"].includes(demoteTo)) {
+      return res.status(400).json({ error: "demoteTo must be manager or member" });
+    }
+    if (!mongoose.isValidObjectId(userId) || userId === req.user._id.toString()) {
+      return res.status(400).json({ error: "Pick another member to transfer the admin role to" });
+    }
+
+    const target = await User.findOne({ _id: userId, organization: req.user.organization });
+    if (!target) return res.status(404).json({ error: "Member not found" });
+    if (!target.active) return res.status(400).json({ error: "Cannot transfer admin to a deactivated member" });
+
+    // Promote first so the org is never without an admin
+    target.role = "admin";
+    await target.save();
+    req.user.role = demoteTo;
+    await req.user.save();
+
+    res.json({ message: `${target.name} is now an admin`, admin: memberView(target), you: memberView(req.user) });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to transfer admin role", details: err.message });
+  }
+});
+
 // ─── Legacy create (kept for org creation via API if needed) ────────────
-router.post("/create", authMiddleware, adminOnly, async (req, res) => {
+router.post("/create", authMiddleware, requireVerifiedEmail, requirePermission("org:settings"), async (req, res) => {
   const { name } = req.body;
   if (!name) return res.status(400).json({ error: "Name is required" });
   const inviteCode = crypto.randomBytes(4).toString("hex").toUpperCase();
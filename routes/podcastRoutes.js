@@ -0,0 +1,102 @@
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const Post = require("../models/Post");
+const User = require("../models/User");
+const Organization = require("../models/Organization");
+const authMiddleware = require("../middleware/authMiddleware");
+const { findOrgTeam } = require("../middleware/orgScope");
+const { escapeRegex } = require("../services/searchService");
+const { hashToken } = require("../services/tokenService");
+const { postItem, buildFeed } = require("../services/rssService");
+
+// ─── Podcast feed ───────────────────────────────────────────────────────
+// Audio reflections of the caller's organisation as a private RSS feed for
+// podcast apps. Each member gets their own secret URL, so it can be revoked
+// without affecting anyone else.
+
+const FEED_EPISODE_LIMIT = 100;
+
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:3000";
+const apiBaseUrl = (req) => process.env.PUBLIC_API_URL || `${req.protocol}://${req.get("host")}`;
+
+// ─── POST /api/podcast/feed ─────────────────────────────────────────────
+// Creates (or replaces) the caller's feed URL. Like the calendar feed, the
+// secret is only shown here — calling again invalidates the old URL.
+// Each member has one secret. Filtered feeds are the same URL with ?tag= and/or
+// ?team= added, so any number of them work side by side and are revoked together.
+router.post("/feed", authMiddleware, async (req, res) => {
+  try {
+    const secret = crypto.randomBytes(24).toString("base64url");
+    await User.updateOne({ _id: req.user._id }, { podcastFeedTokenHash: hashToken(secret) });
+
+    res.json({ url: `${apiBaseUrl(req)}/api/podcast/feed/${secret}.xml` });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to create podcast feed", details: error.message });
+  }
+});
+
+// ─── DELETE /api/podcast/feed ───────────────────────────────────────────
+router.delete("/feed", authMiddleware, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { podcastFeedTokenHash: null });
+    res.json({ message: "Podcast feed disabled" });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to disable podcast feed", details: error.message });
+  }
+});
+
+// ─── GET /api/podcast/feed/:secret.xml?tag=…&team=… ─────────────────────
+// Public (podcast apps can't send a bearer token) — the secret is the credential.
+// Newest audio posts first; filters match the post feed's. The filters aren't
+// part of the credential — they narrow whatever the secret's owner can see.
+router.get("/feed/:secret.xml", async (req, res) => {
+  try {
+    const user = await User.findOne({
+      podcastFeedTokenHash: hashToken(req.params.secret),
+      active: { $ne: false },
+    });
+    if (!user || !user.organization) return res.status(404).send("Feed not found");
+
+    const org = await Organization.findById(user.organization).select("name");
+    const query = { organization: user.organization, audioUrl: { $nin: [null, ""] } };
+    const { tag, team } = req.query;
+
+    let teamName = null;
+    if (tag) query.tags = { $regex: new RegExp(`^${escapeRegex(tag)}$`, "i") };
+    if (team) {
+      const targetTeam = await findOrgTeam({ user }, team);
+      if (!targetTeam) return res.status(404).send("Team not found");
+      query.team = targetTeam._id;
+      teamName = targetTeam.name;
+    }
+
+    const posts = await Post.find(query)
+      .select("title content tags audioUrl audioTitle audioBytes createdBy createdAt aiFeedback transcript.durationSeconds")
+      .populate("createdBy", "name")
+      .sort({ createdAt: -1 })
+      .limit(FEED_EPISODE_LIMIT);
+
+    const orgName = org?.name || "WorkReflect";
+    const scope = [teamName, tag && `#${tag}`].filter(Boolean).join(" · ");
+    const xml = buildFeed(
+      posts.map((post) => postItem(post, { url: `${frontendUrl()}/post/${post._id}` })),
+      {
+        title: `${orgName} Voice Reflections${scope ? ` — ${scope}` : ""}`,
+        description: `Voice reflections shared by the ${orgName} team on WorkReflect.`,
+        link: `${frontendUrl()}/podcast`,
+        author: orgName,
+        image: process.env.PODCAST_IMAGE_URL,
+        selfUrl: `${apiBaseUrl(req)}${req.originalUrl}`,
+      }
+    );
+
+    res.set("Content-Type", "application/rss+xml; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    res.send(xml);
+  } catch (error) {
+    res.status(500).send("Failed to build feed");
+  }
+});
+
+module.exports = router;
@@ -1,34 +1,89 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Post = require("../models/Post");
-const { generateFeedback } = require("../services/aiService");
+const Comment = require("../models/Comment");
+const PostRevision = require("../models/PostRevision");
+const Reaction = require("../models/Reaction");
+const { diffLines } = require("../services/textDiff");
+const { escapeRegex } = require("../services/searchService");
+const { recordUpload, uploadedBytes } = require("../services/audioService");
+const feedbackWorker = require("../services/feedbackWorker");
+const transcriptionWorker = require("../services/transcriptionWorker");
 const authMiddleware = require("../middleware/authMiddleware");
+const requireFeature = require("../middleware/requireFeature");
+const { requireOrgPost, findOrgTeam } = require("../middleware/orgScope");
+const { can, canActOn } = require("../config/permissions");
+const {
+  getQuota,
+  consumeQuota,
+  recordUsage,
+  refundQuota,
+  quotaExceeded,
+} = require("../services/entitlementService");
 
+// Recount a post's reactions from the Reaction rows and cache the totals on the Post
+async function syncReactionCounts(postId) {
+  const grouped = await Reaction.aggregate([
+    { $match: { postId } },
+    { $group: { _id: "$type", count: { $sum: 1 } } },
+  ]);
+  const reactions = Object.fromEntries(Reaction.TYPES.map((t) => [t, 0]));
+  grouped.forEach((g) => { reactions[g._id] = g.count; });
+
+  await Post.updateOne({ _id: postId }, { reactions });
+  return reactions;
+}
 
 router.post("/create", authMiddleware, async (req, res) => {
   try {
     console.log("REQ.USER:", req.user);
-    const { title, content, tags, audioUrl } = req.body;
+    const { title, content, tags, audioUrl, team } = req.body;
 
     if (!title || !content) {
       return res.status(400).json({ error: "Title and content are required" });
     }
 
-    const aiResponse = await generateFeedback(content);
+    // Optional team label — the author has to be on the team (admins can tag any).
+    // It only files the post under the team; the whole org can still read it.
+    if (team) {
+      const targetTeam = await findOrgTeam(req, team);
+      if (!targetTeam) return res.status(404).json({ error: "Team not found" });
+      const isMember = targetTeam.members.some((m) => m.equals(req.user._id));
+      if (!isMember && !can(req.user, "teams:manage")) {
+        return res.status(403).json({ error: "You are not a member of this team" });
+      }
+    }
 
     const post = new Post({
       title,
       content,
       tags,
       audioUrl,
+      // Size for the podcast feed, from the upload; missing ones are backfilled (services/migrations.js)
+      audioBytes: audioUrl ? await uploadedBytes(req.user, audioUrl) : null,
+      team: team || null,
       organization: req.user.organization,
       createdBy: req.user._id,
-      aiFeedback: {
-        summary: aiResponse
-      }
     });
+    transcriptionWorker.markPending(post);
 
-    await post.save();
+    // AI feedback is generated in the background — never block the save on the LLM.
+    // Out of monthly AI quota: the reflection is still saved, just without feedback.
+    const quota = await consumeQuota(req.user, "aiFeedback");
+    if (quota.ok) {
+      feedbackWorker.markPending(post);
+    } else {
+      post.aiFeedback = { status: "failed", error: "Monthly AI feedback limit reached" };
+    }
+    try {
+      await post.save();
+    } catch (err) {
+      if (quota.ok) await refundQuota(req.user, "aiFeedback");
+      throw err;
+    }
+    if (quota.ok) feedbackWorker.enqueue();
+    if (post.transcript?.status === "pending") transcriptionWorker.enqueue();
     res.status(201).json({ success: true, post });
 
   } catch (error) {
@@ -36,53 +91,476 @@ router.post("/create", authMiddleware, async (req, res) => {
     res.status(500).json({ error: "Failed to create post", details: error.message });
   }
 });
+// ─── Feed cursors ───────────────────────────────────────────────────────
+// Opaque base64url of "<createdAt ISO>_<_id>"; ties on createdAt break on _id.
+const FEED_PAGE_SIZE = 20;
+const FEED_MAX_PAGE_SIZE = 50;
+const EXCERPT_LENGTH = 280;
+
+const encodeCursor = (post) =>
+  Buffer.from(`${post.createdAt.toISOString()}_${post._id}`).toString("base64url");
+
+function decodeCursor(cursor) {
+  const [iso, id] = Buffer.from(String(cursor), "base64url").toString("utf8").split("_");
+  const createdAt = new Date(iso);
+  if (isNaN(createdAt) || !mongoose.isValidObjectId(id)) return null;
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+}
+
+// ─── GET /api/posts?limit=20&cursor=…&tag=…&team=… ──────────────────────
+// Newest-first feed page. Returns a compact projection (no full content or AI
+// feedback) with comment and reaction totals, plus nextCursor (null on the last page).
 router.get("/", authMiddleware, async (req, res) => {
   try {
-    const { tag } = req.query;
+    const { tag, cursor, team } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || FEED_PAGE_SIZE, 1), FEED_MAX_PAGE_SIZE);
 
     let query = {
       organization: req.user.organization, // 🔐 isolation
     };
     if (tag) {
-      query.tags = { $regex: new RegExp(`^${tag}$`, "i") };
+      query.tags = { $regex: new RegExp(`^${escapeRegex(tag)}$`, "i") };
+    }
+    if (team) {
+      const targetTeam = await findOrgTeam(req, team);
+      if (!targetTeam) return res.status(404).json({ error: "Team not found" });
+      query.team = targetTeam._id;
+    }
+    if (cursor) {
+      const after = decodeCursor(cursor);
+      if (!after) return res.status(400).json({ error: "Invalid cursor" });
+      query.$or = [
+        { createdAt: { $lt: after.createdAt } },
+        { createdAt: after.createdAt, _id: { $lt: after._id } },
+      ];
     }
-    const posts = await Post.find(query)
-      .populate("createdBy", "name role")
-      .sort({ createdAt: -1 });
 
-    res.json(posts);
+    const rows = await Post.aggregate([
+      { $match: query },
+      { $sort: { createdAt: -1, _id: -1 } },
+      { $limit: limit + 1 },
+      {
+        $lookup: {
+          from: "comments",
+          let: { postId: "$_id" },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$postId", "$$postId"] }, deleted: { $ne: true } } },
+            { $count: "n" },
+          ],
+          as: "commentStats",
+        },
+      },
+      {
+        $lookup: {
+          from: "users",
+          localField: "createdBy",
+          foreignField: "_id",
+          pipeline: [{ $project: { name: 1, role: 1 } }],
+          as: "createdBy",
+        },
+      },
+      {
+        $lookup: {
+          from: "teams",
+          let: { teamId: "$team" },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$_id", "$$teamId"] } } },
+            { $project: { name: 1 } },
+          ],
+          as: "team",
+        },
+      },
+      {
+        $project: {
+          title: 1,
+          tags: 1,
+          audioUrl: 1,
+          audioTitle: 1,
+          createdAt: 1,
+          editedAt: 1,
+          reactions: 1,
+          excerpt: { $substrCP: [{ $ifNull: ["$content", ""] }, 0, EXCERPT_LENGTH] },
+          truncated: { $gt: [{ $strLenCP: { $ifNull: ["$content", ""] } }, EXCERPT_LENGTH] },
+          createdBy: { $first: "$createdBy" },
+          team: { $ifNull: [{ $first: "$team" }, null] },
+          commentCount: { $ifNull: [{ $first: "$commentStats.n" }, 0] },
+        },
+      },
+    ]);
+
+    const hasMore = rows.length > limit;
+    const posts = hasMore ? rows.slice(0, limit) : rows;
+
+    // Attach the caller's own reaction state to each post
+    const mine = await Reaction.find({
+      postId: { $in: posts.map((p) => p._id) },
+      createdBy: req.user._id,
+    }).select("postId type").lean();
+    const myReactions = {};
+    mine.forEach((r) => {
+      const id = r.postId.toString();
+      (myReactions[id] = myReactions[id] || []).push(r.type);
+    });
+
+    res.json({
+      posts: posts.map((p) => ({
+        ...p,
+        reactionCount: Object.values(p.reactions || {}).reduce((sum, n) => sum + (n || 0), 0),
+        myReactions: myReactions[p._id.toString()] || [],
+      })),
+      nextCursor: hasMore ? encodeCursor(posts[posts.length - 1]) : null,
+    });
   } catch (error) {
     console.log(error);
     res.status(500).json({ error: "Failed to fetch posts", details: error.message });
   }
 });
 
-router.get("/:id", async (req, res) => {
+router.get("/:id", authMiddleware, requireOrgPost(), async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id).populate("createdBy", "name role");
-    if (!post) return res.status(404).json({ message: "Post not found" });
+    const post = await req.post.populate("createdBy", "name role");
     res.json(post);
   } catch (error) {
     res.status(500).json({ error: "Failed to fetch post" });
   }
 });
 
-router.post("/react/:id", authMiddleware, async (req, res) => {
+// ─── PUT /api/posts/:id ─────────────────────────────────────────────────
+// Author edits a reflection. The previous state is kept as a PostRevision.
+// Send regenerateFeedback: true to re-run AI feedback when the content or audio changed.
+// New audio is transcribed again.
+router.put("/:id", authMiddleware, requireOrgPost(), async (req, res) => {
+  try {
+    const post = req.post;
+    if (post.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "Only the author can edit this post" });
+    }
+
+    const { title, content, tags, audioUrl, regenerateFeedback = false } = req.body;
+    if (title !== undefined && !String(title).trim()) {
+      return res.status(400).json({ error: "Title cannot be empty" });
+    }
+    if (content !== undefined && !String(content).trim()) {
+      return res.status(400).json({ error: "Content cannot be empty" });
+    }
+
+    const contentChanged = content !== undefined && content !== post.content;
+    const audioChanged = audioUrl !== undefined && audioUrl !== post.audioUrl;
+    const changed =
+      contentChanged ||
+      audioChanged ||
+      (title !== undefined && title !== post.title) ||
+      (tags !== undefined && JSON.stringify(tags) !== JSON.stringify(post.tags));
+    if (!changed) return res.json({ success: true, post });
+
+    // Kept for the PostRevision, which is written once the edit is saved
+    const previous = {
+      version: post.version,
+      title: post.title,
+      content: post.content,
+      tags: [...post.tags],
+      audioUrl: post.audioUrl,
+    };
+
+    if (title !== undefined) post.title = title;
+    if (content !== undefined) post.content = content;
+    if (tags !== undefined) post.tags = tags;
+    if (audioChanged) post.audioUrl = audioUrl;
+    // Catch values that won't cast (e.g. an object as the title) before anything is charged or stored
+    const invalid = post.validateSync();
+    if (invalid) {
+      return res.status(400).json({ error: "Invalid post", details: Object.values(invalid.errors).map((e) => e.message) });
+    }
+
+    if (audioChanged) post.audioBytes = audioUrl ? await uploadedBytes(req.user, audioUrl) : null;
+    post.version += 1;
+    post.editedAt = new Date();
+    if (audioChanged) transcriptionWorker.markPending(post);
+
+    const wantsFeedback = (contentChanged || audioChanged) && regenerateFeedback && post.aiFeedback?.status !== "pending";
+    // The edit goes through even when the AI quota is used up
+    const regenerate = wantsFeedback && (await consumeQuota(req.user, "aiFeedback")).ok;
+    if (regenerate) feedbackWorker.markPending(post);
+
+    // Only save over the version that was read, so two concurrent edits can't
+    // both claim the same revision number (posts from before versioning have no field)
+    post.$where = { version: previous.version === 1 ? { $in: [1, null] } : previous.version };
+    try {
+      await post.save();
+    } catch (err) {
+      if (regenerate) await refundQuota(req.user, "aiFeedback");
+      if (err instanceof mongoose.Error.DocumentNotFoundError) {
+        return res.status(409).json({ error: "The post was edited meanwhile — reload and try again" });
+      }
+      throw err;
+    }
+
+    await PostRevision.create({ postId: post._id, ...previous, editedBy: req.user._id });
+    if (regenerate) feedbackWorker.enqueue();
+    if (audioChanged && post.transcript?.status === "pending") transcriptionWorker.enqueue();
+
+    res.json({ success: true, post, ...(wantsFeedback && !regenerate ? { feedbackQuotaExceeded: true } : {}) });
+  } catch (error) {
+    console.log(error);
+    res.status(500).json({ error: "Failed to update post", details: error.message });
+  }
+});
+
+// ─── DELETE /api/posts/:id ──────────────────────────────────────────────
+// Author or a moderator (see config/permissions.js) removes a reflection,
+// along with its comments and history.
+router.delete("/:id", authMiddleware, requireOrgPost(), async (req, res) => {
+  try {
+    const post = req.post;
+
+    const isAuthor = post.createdBy.toString() === req.user._id.toString();
+    if (!isAuthor && !(await canActOn(req.user, "posts:moderate", post.createdBy))) {
+      return res.status(403).json({ error: "Only the author or a moderator can delete this post" });
+    }
+
+    await Promise.all([
+      Comment.deleteMany({ postId: post._id }),
+      PostRevision.deleteMany({ postId: post._id }),
+      Reaction.deleteMany({ postId: post._id }),
+    ]);
+    await post.deleteOne();
+
+    res.json({ success: true, message: "Post deleted" });
+  } catch (error) {
+    console.log(error);
+    res.status(500).json({ error: "Failed to delete post", details: error.message });
+  }
+});
+
+// ─── GET /api/posts/:id/revisions ───────────────────────────────────────
+// Version history, newest first. The current post is included as the top entry.
+router.get("/:id/revisions", authMiddleware, requireOrgPost(), async (req, res) => {
+  try {
+    const post = req.post;
+
+    const revisions = await PostRevision.find({ postId: post._id })
+      .populate("editedBy", "name")
+      .sort({ version: -1 });
+
+    res.json({
+      current: {
+        version: post.version,
+        title: post.title,
+        content: post.content,
+        tags: post.tags,
+        audioUrl: post.audioUrl,
+        updatedAt: post.editedAt || post.createdAt,
+      },
+      revisions,
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch revisions", details: error.message });
+  }
+});
+
+// ─── GET /api/posts/:id/revisions/diff?from=1&to=2 ──────────────────────
+// Line diff between two versions. Defaults to the latest edit (previous → current).
+router.get("/:id/revisions/diff", authMiddleware, requireOrgPost(), async (req, res) => {
+  try {
+    const post = req.post;
+
+    const to = req.query.to ? parseInt(req.query.to, 10) : post.version;
+    const from = req.query.from ? parseInt(req.query.from, 10) : to - 1;
+    if (!(from >= 1) || !(to <= post.version) || from >= to) {
+      return res.status(400).json({ error: `from and to must satisfy 1 <= from < to <= ${post.version}` });
+    }
+
+    const loadVersion = async (version) => {
+      if (version === post.version) return post;
+      return PostRevision.findOne({ postId: post._id, version });
+    };
+    const [before, after] = await Promise.all([loadVersion(from), loadVersion(to)]);
+    if (!before || !after) return res.status(404).json({ error: "Revision not found" });
+
+    res.json({
+      from,
+      to,
+      title: before.title === after.title ? null : { before: before.title, after: after.title },
+      tags: {
+        removed: before.tags.filter((t) => !after.tags.includes(t)),
+        added: after.tags.filter((t) => !before.tags.includes(t)),
+      },
+      content: diffLines(before.content, after.content),
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to diff revisions", details: error.message });
+  }
+});
+
+// ─── AI feedback status ─────────────────────────────────────────────────
+// Poll: returns the current feedback status (pending | ready | failed)
+router.get("/:id/feedback", authMiddleware, requireOrgPost(), async (req, res) => {
+  try {
+    const post = req.post;
+    res.json({ status: post.aiFeedback?.status || "ready", aiFeedback: post.aiFeedback });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch feedback", details: error.message });
+  }
+});
+
+const FEEDBACK_POLL_MS = 5000;
+
+// Subscribe: Server-Sent Events stream that emits once the feedback settles.
+// Worker events are in-process, so the Post is also polled in case the job
+// ran on another instance.
+router.get("/:id/feedback/stream", authMiddleware, requireOrgPost(), async (req, res) => {
+  try {
+    const post = req.post;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    const send = (data) => res.write(`event: feedback\ndata: ${JSON.stringify(data)}\n\n`);
+    const status = post.aiFeedback?.status || "ready";
+    if (status !== "pending") {
+      send({ status, aiFeedback: post.aiFeedback });
+      return res.end();
+    }
+
+    const eventName = `feedback:${post._id}`;
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+    let settled = false;
+    const onSettled = (data) => {
+      if (settled) return;
+      settled = true;
+      send(data);
+      cleanup();
+      res.end();
+    };
+    const poll = setInterval(async () => {
+      try {
+        const fresh = await Post.findById(post._id).select("aiFeedback");
+        const current = fresh?.aiFeedback?.status;
+        if (current && current !== "pending") onSettled({ status: current, aiFeedback: fresh.aiFeedback });
+      } catch (err) {
+        console.error("Feedback poll failed:", err.message);
+      }
+    }, FEEDBACK_POLL_MS);
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      clearInterval(poll);
+      feedbackWorker.events.off(eventName, onSettled);
+    };
+
+    feedbackWorker.events.on(eventName, onSettled);
+    req.on("close", cleanup);
+  } catch (error) {
+    if (!res.headersSent) res.status(500).json({ error: "Failed to stream feedback", details: error.message });
+  }
+});
+
+// Author re-runs AI feedback (e.g. after a failure)
+router.post("/:id/regenerate-feedback", authMiddleware, requireOrgPost(), async (req, res) => {
+  try {
+    const post = req.post;
+    if (post.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "Only the author can regenerate feedback" });
+    }
+    if (post.aiFeedback?.status === "pending") {
+      return res.status(409).json({ error: "Feedback is already being generated" });
+    }
+    const quota = await consumeQuota(req.user, "aiFeedback");
+    if (!quota.ok) return res.status(403).json(quotaExceeded("aiFeedback", quota));
+
+    feedbackWorker.markPending(post);
+    await post.save();
+    feedbackWorker.enqueue();
+
+    res.status(202).json({ status: "pending" });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to regenerate feedback", details: error.message });
+  }
+});
+
+// ─── POST /api/posts/:id/transcribe ─────────────────────────────────────
+// Author re-runs transcription of the post's audio (e.g. after a failure).
+// Feedback isn't regenerated automatically — use regenerate-feedback afterwards.
+router.post("/:id/transcribe", authMiddleware, requireOrgPost(), async (req, res) => {
+  try {
+    const post = req.post;
+    if (post.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "Only the author can transcribe this post" });
+    }
+    if (!post.audioUrl) return res.status(400).json({ error: "This post has no audio" });
+    if (post.transcript?.status === "pending") {
+      return res.status(409).json({ error: "Audio is already being transcribed" });
+    }
+
+    transcriptionWorker.markPending(post);
+    if (post.transcript?.status !== "pending") return res.status(503).json({ error: "Transcription is not available" });
+    await post.save();
+    transcriptionWorker.enqueue();
+
+    res.status(202).json({ status: "pending" });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to transcribe audio", details: error.message });
+  }
+});
+
+// ─── POST /api/posts/react/:id ──────────────────────────────────────────
+// Toggles the caller's reaction of the given type on/off.
+router.post("/react/:id", authMiddleware, requireOrgPost(), async (req, res) => {
   try {
     const { type } = req.body;
-    if (!type || !["agree", "insightful", "idea"].includes(type)) {
+    if (!type || !Reaction.TYPES.includes(type)) {
       return res.status(400).json({ error: "Invalid reaction type" });
     }
-    const post = await Post.findById(req.params.id);
-    if (!post) return res.status(404).json({ error: "Post not found" });
-    post.reactions[type] += 1;
-    await post.save();
-    res.json(post.reactions);
+    const post = req.post;
+
+    const key = { postId: post._id, createdBy: req.user._id, type };
+    const removed = await Reaction.findOneAndDelete(key);
+    if (!removed) {
+      try {
+        await Reaction.create(key);
+      } catch (err) {
+        // Double-click race: the reaction already exists, which is the state we wanted
+        if (err.code !== 11000) throw err;
+      }
+    }
+
+    const reactions = await syncReactionCounts(post._id);
+    const myReactions = await Reaction.find({ postId: post._id, createdBy: req.user._id }).distinct("type");
+
+    res.json({ reactions, myReactions });
   } catch (error) {
     res.status(500).json({ error: "Failed to add reaction" });
   }
 });
 
+// ─── GET /api/posts/:id/reactions ───────────────────────────────────────
+// Who reacted, grouped by type, plus the caller's own reactions
+router.get("/:id/reactions", authMiddleware, requireOrgPost(), async (req, res) => {
+  try {
+    const post = req.post;
+
+    const rows = await Reaction.find({ postId: post._id })
+      .populate("createdBy", "name role")
+      .sort({ createdAt: 1 });
+
+    const users = Object.fromEntries(Reaction.TYPES.map((t) => [t, []]));
+    const myReactions = [];
+    rows.forEach((r) => {
+      if (!r.createdBy) return; // user since deleted
+      users[r.type].push(r.createdBy);
+      if (r.createdBy._id.equals(req.user._id)) myReactions.push(r.type);
+    });
+
+    const counts = Object.fromEntries(Reaction.TYPES.map((t) => [t, users[t].length]));
+    res.json({ counts, users, myReactions });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch reactions", details: error.message });
+  }
+});
+
 
 //audio upload
 const multer = require("multer");
@@ -100,10 +578,29 @@ const cloudinaryStorage = new CloudinaryStorage({
 
 const upload = multer({ storage: cloudinaryStorage });
 
-router.post("/upload-audio", upload.single("audio"), (req, res) => {
+// Uploads count towards the plan's audio storage; refuse once it is full
+const checkAudioStorage = async (req, res, next) => {
+  try {
+    const quota = await getQuota(req.user, "audioStorageMb");
+    if (quota.remaining !== null && quota.remaining <= 0) {
+      return res.status(403).json(quotaExceeded("audioStorageMb", quota));
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: "Failed to check storage", details: err.message });
+  }
+};
+
+router.post("/upload-audio", authMiddleware, requireFeature("audioUpload"), checkAudioStorage, upload.single("audio"), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: "No audio file uploaded" });
   }
+  await recordUsage(req.user, "audioStorageMb", (req.file.size || 0) / (1024 * 1024))
+    .catch((err) => console.error("Audio usage not recorded:", err.message));
+  if (req.file.size) {
+    await recordUpload(req.user, req.file)
+      .catch((err) => console.error("Audio size not recorded:", err.message));
+  }
   // Cloudinary returns the full HTTPS URL in req.file.path
   res.json({
     audioUrl: req.file.path,
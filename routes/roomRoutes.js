@@ -2,6 +2,28 @@ const express = require("express");
 const router = express.Router();
 const authMiddleware = require("../middleware/authMiddleware");
 const crypto = require("crypto");
+const requireFeature = require("../middleware/requireFeature");
+const { getQuota, quotaExceeded } = require("../services/entitlementService");
+const mongoose = require("mongoose");
+const Room = require("../models/Room");
+const User = require("../models/User");
+const {
+    newRoomId,
+    liveCount,
+    roomPrivileges,
+    canModerateUser,
+    canAccessRoom,
+    visibleRoomsFilter,
+    entryBlock,
+    removeFromRoom,
+    joinRoom,
+    heartbeat,
+    leaveRoom,
+    endRoom,
+} = require("../services/roomService");
+const { findOrgTeam } = require("../middleware/orgScope");
+const { roomEvent, buildCalendar } = require("../services/icsService");
+const { hashToken } = require("../services/tokenService");
 
 /**
  * ZEGOCLOUD Token04 generation — Official implementation.
@@ -66,46 +88,226 @@ function generateToken04(appId, userId, serverSecret, effectiveTimeInSeconds, pa
     return "04" + buf.toString("base64");
 }
 
-// ─── Shared in-memory room store ─────────────────────────────────────────────
-const activeRooms = new Map();
+// ─── Room helpers ────────────────────────────────────────────────────────────
+// Rooms live in Mongo (models/Room.js); services/roomService.js handles
+// presence and the sweeper that ends stale rooms.
+
+// Live rooms draw on the plan's monthly room minutes (charged to the host)
+const checkRoomMinutes = async (req, res, next) => {
+    try {
+        const quota = await getQuota(req.user, "roomMinutes", req.plan);
+        if (quota.remaining !== null && quota.remaining <= 0) {
+            return res.status(403).json(quotaExceeded("roomMinutes", quota));
+        }
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Load a room of the caller's organisation (by :roomId or body.roomId) into req.room.
+// Rooms the caller isn't allowed to see (privacy) 404 like missing ones; banned users get 403.
+const loadRoom = async (req, res, next) => {
+    try {
+        const roomId = req.params.roomId || req.body?.roomId;
+        if (!roomId) return res.status(400).json({ error: "roomId is required" });
+        const room = await Room.findOne({ roomId: String(roomId), organization: req.user.organization })
+            .populate("host", "name");
+        if (!room || !(await canAccessRoom(room, req.user))) return res.status(404).json({ error: "Room not found" });
+        if (entryBlock(room, req.user._id) === "banned") {
+            return res.status(403).json({ error: "banned", message: "You've been removed from this room." });
+        }
+        req.room = room;
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Shape the frontend has always used (id = public roomId, participants = people in the room now)
+const roomView = (room) => ({
+    id: room.roomId,
+    title: room.title,
+    type: room.type,
+    hostId: (room.host?._id || room.host).toString(),
+    hostName: room.host?.name,
+    organization: room.organization.toString(),
+    participants: liveCount(room),
+    createdAt: room.startedAt || room.createdAt,
+    live: room.status === "live",
+    status: room.status,
+    description: room.description,
+    scheduledFor: room.scheduledFor,
+    durationMinutes: room.durationMinutes,
+    recurring: !!room.series?.id,
+    repeatUntil: room.series?.until || null,
+    startedAt: room.startedAt,
+    endedAt: room.endedAt,
+    durationSeconds: room.durationSeconds,
+    rsvps: countRsvps(room),
+    privacy: room.privacy || "org",
+    teamId: room.team ? room.team.toString() : null,
+    coHostIds: (room.coHosts || []).map(String),
+    speakerIds: (room.speakers || []).map(String),
+    handRaises: (room.handRaises || []).map((h) => ({ userId: h.user.toString(), raisedAt: h.raisedAt })),
+    mutedIds: (room.muted || []).map(String),
+});
+
+// Room view plus what the caller can do in it
+const roomViewFor = (room, user) => ({ ...roomView(room), ...roomPrivileges(room, user._id) });
+
+// ZEGO Token04 privilege payload: 1 = login room, 2 = publish stream.
+// Listeners and muted users get a token that ZEGO refuses to publish with.
+const tokenPayload = (roomId, canSpeak) => JSON.stringify({
+    room_id: roomId,
+    privilege: { 1: 1, 2: canSpeak ? 1 : 0 },
+    stream_id_list: null,
+});
+
+// Tokens are short-lived and reissued with every heartbeat, so a mute, demotion,
+// kick or ban reaches ZEGO within minutes even if the client ignores it.
+const ROOM_TOKEN_TTL_SECONDS = 5 * 60;
+
+// Token04 for a room with the caller's current privileges, or null when ZEGOCLOUD isn't configured
+const zegoToken = (userId, roomId, canSpeak) => {
+    const appId = parseInt(process.env.ZEGO_APP_ID, 10);
+    const serverSecret = process.env.ZEGO_SERVER_SECRET;
+    if (!appId || !serverSecret) return null;
+    return generateToken04(appId, userId, serverSecret, ROOM_TOKEN_TTL_SECONDS, tokenPayload(roomId, canSpeak));
+};
+
+const PRIVACY_SETTINGS = ["org", "invite", "team"];
+
+// Validates { privacy, teamId } against the caller's org; returns { privacy, team } or { error }
+const parsePrivacy = async (req, { privacy = "org", teamId } = {}) => {
+    if (!PRIVACY_SETTINGS.includes(privacy)) {
+        return { error: `privacy must be one of: ${PRIVACY_SETTINGS.join(", ")}` };
+    }
+    if (privacy !== "team") return { privacy, team: null };
+    const team = await findOrgTeam(req, teamId);
+    if (!team) return { error: "teamId must be a team in your organisation" };
+    return { privacy, team: team._id };
+};
+
+// Loads the :userId moderation target and checks the caller outranks them
+const loadTarget = (req, res) => {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+        res.status(400).json({ error: "Invalid userId" });
+        return null;
+    }
+    if (!canModerateUser(req.room, req.user._id, userId)) {
+        res.status(403).json({ error: "You can't moderate this person" });
+        return null;
+    }
+    return new mongoose.Types.ObjectId(String(userId));
+};
+
+// Re-read the room after an update and send it back with the caller's privileges
+const sendRoom = async (req, res) => {
+    const fresh = await Room.findById(req.room._id).populate("host", "name");
+    res.json(roomViewFor(fresh, req.user));
+};
+
+const RSVP_RESPONSES = ["yes", "no", "maybe"];
+
+const countRsvps = (room) => {
+    const counts = { yes: 0, no: 0, maybe: 0, pending: 0 };
+    (room.invitees || []).forEach((inv) => { counts[inv.rsvp] += 1; });
+    return counts;
+};
+
+const isRoomHost = (room, user) => (room.host._id || room.host).toString() === user._id.toString();
+
+// Active members of the caller's org among `ids`; null when any id is invalid or foreign
+const orgMemberIds = async (req, ids) => {
+    if (!Array.isArray(ids) || ids.some((id) => !mongoose.isValidObjectId(id))) return null;
+    const unique = [...new Set(ids.map(String))];
+    const found = await User.find({
+        _id: { $in: unique },
+        organization: req.user.organization,
+        active: { $ne: false },
+    }).distinct("_id");
+    return found.length === unique.length ? found : null;
+};
+
+const roomUrl = (room) => `${process.env.FRONTEND_URL || "http://localhost:3000"}/live-rooms/${room.roomId}`;
+
+const sendCalendar = (res, ics, filename) => {
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    if (filename) res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(ics);
+};
+
+// One VEVENT per standalone room and one per weekly series. A series is
+// described by its newest non-cancelled occurrence; cancelled ones become EXDATEs.
+const calendarEvents = (rooms) => {
+    const standalone = [];
+    const series = new Map();
+    rooms.forEach((room) => {
+        if (!room.series?.id) return standalone.push(room);
+        const key = room.series.id.toString();
+        if (!series.has(key)) series.set(key, []);
+        series.get(key).push(room);
+    });
+
+    const events = standalone.map((room) => roomEvent(room, { url: roomUrl(room) }));
+    series.forEach((occurrences) => {
+        const sorted = occurrences.sort((a, b) => b.scheduledFor - a.scheduledFor);
+        const active = sorted.find((r) => r.status !== "cancelled");
+        const exdates = sorted.filter((r) => r.status === "cancelled").map((r) => r.scheduledFor);
+        const base = active || sorted[0];
+        events.push(roomEvent(base, { url: roomUrl(base), exdates: active ? exdates : [] }));
+    });
+    return events;
+};
 
 // ─── POST /api/rooms/token ────────────────────────────────────────────────────
-router.post("/token", authMiddleware, async (req, res) => {
+// Issuing the token is joining: it opens the caller's participant session
+router.post("/token", authMiddleware, requireFeature("liveRooms"), loadRoom, async (req, res) => {
     try {
         const user = req.user;
-        if (user.plan === "free" || !user.plan) {
-            return res.status(403).json({
-                error: "premium_required",
-                message: "Live Rooms require a Pro subscription.",
+        const room = req.room;
+        const { roomId } = room;
+
+        if (room.status === "scheduled") {
+            return res.status(409).json({
+                error: "room_not_started",
+                message: "This room hasn't started yet.",
+                scheduledFor: room.scheduledFor,
             });
         }
+        const block = entryBlock(room, user._id);
+        if (block === "kicked") {
+            return res.status(403).json({ error: "kicked", message: "You were removed from this room. Try again later." });
+        }
+        if (!(await joinRoom(room, user._id))) {
+            return res.status(410).json({ error: "room_ended", message: "This room has ended." });
+        }
 
-        const { roomId } = req.body;
-        if (!roomId) return res.status(400).json({ error: "roomId is required" });
-
-        const appId = parseInt(process.env.ZEGO_APP_ID, 10);
-        const serverSecret = process.env.ZEGO_SERVER_SECRET;
+        const userId = user._id.toString();
+        const { role, canSpeak, canModerate } = roomPrivileges(room, user._id);
+        const isHost = role === "host";
+        const token = zegoToken(userId, roomId, canSpeak);
 
         // If ZEGOCLOUD env vars aren't set yet, return a demo mode response
-        if (!appId || !serverSecret) {
+        if (!token) {
             return res.json({
                 token: "ZEGO_NOT_CONFIGURED",
-                userId: user._id.toString(),
+                userId,
                 userName: user.name,
                 roomId,
                 appId: 0,
                 demo: true,
+                isHost,
+                role,
+                canSpeak,
+                canModerate,
             });
         }
 
-        const userId = user._id.toString();
-        const token = generateToken04(appId, userId, serverSecret, 3600);
-
-        // Check if this user is the host of this room
-        const room = activeRooms.get(roomId);
-        const isHost = room ? room.hostId === userId : false;
-
-        res.json({ token, userId, userName: user.name, roomId, appId, isHost });
+        const appId = parseInt(process.env.ZEGO_APP_ID, 10);
+        res.json({ token, userId, userName: user.name, roomId, appId, isHost, role, canSpeak, canModerate });
     } catch (err) {
         console.error("Token generation error:", err);
         res.status(500).json({ error: err.message });
@@ -113,61 +315,545 @@ router.post("/token", authMiddleware, async (req, res) => {
 });
 
 // ─── POST /api/rooms/create-room ─────────────────────────────────────────────
-router.post("/create-room", authMiddleware, async (req, res) => {
+// Opens a room now, or schedules it when scheduledFor is given.
+// Body: { title, type?, description?, scheduledFor?, durationMinutes?,
+//         repeat?: "weekly", repeatUntil?, inviteeIds?, privacy?, teamId? }
+router.post("/create-room", authMiddleware, requireFeature("liveRooms"), checkRoomMinutes, async (req, res) => {
     try {
         const user = req.user;
-        if (user.plan === "free" || !user.plan) {
-            return res.status(403).json({ error: "premium_required" });
-        }
-        const { title, type = "audio" } = req.body;
+        const {
+            title,
+            type = "audio",
+            description = "",
+            scheduledFor,
+            durationMinutes = 60,
+            repeat,
+            repeatUntil,
+            inviteeIds = [],
+            privacy,
+            teamId,
+        } = req.body;
         if (!title) return res.status(400).json({ error: "title required" });
+        if (!["audio", "video"].includes(type)) return res.status(400).json({ error: "type must be audio or video" });
+        if (!Number.isInteger(durationMinutes) || durationMinutes < 5 || durationMinutes > 8 * 60) {
+            return res.status(400).json({ error: "durationMinutes must be between 5 and 480" });
+        }
+
+        const access = await parsePrivacy(req, { privacy, teamId });
+        if (access.error) return res.status(400).json({ error: access.error });
 
-        const roomId = `room_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+        const _id = new mongoose.Types.ObjectId();
         const room = {
-            id: roomId,
+            _id,
+            roomId: newRoomId(),
             title,
             type,
-            hostId: user._id.toString(),
-            hostName: user.name,
-            organization: user.organization.toString(),
-            participants: 0,
-            createdAt: new Date(),
-            live: true,
+            description,
+            durationMinutes,
+            host: user._id,
+            organization: user.organization,
+            privacy: access.privacy,
+            team: access.team,
         };
-        activeRooms.set(roomId, room);
 
-        // Auto-remove after 4 hours
-        setTimeout(() => activeRooms.delete(roomId), 4 * 60 * 60 * 1000);
+        if (scheduledFor) {
+            const start = new Date(scheduledFor);
+            if (isNaN(start) || start <= new Date()) {
+                return res.status(400).json({ error: "scheduledFor must be a future date" });
+            }
+            if (start - Date.now() > 365 * 24 * 60 * 60 * 1000) {
+                return res.status(400).json({ error: "Rooms can be scheduled up to a year ahead" });
+            }
+            room.status = "scheduled";
+            room.scheduledFor = start;
+
+            if (repeat !== undefined && repeat !== "weekly") {
+                return res.status(400).json({ error: "repeat must be \"weekly\"" });
+            }
+            if (repeat === "weekly") {
+                const until = repeatUntil ? new Date(repeatUntil) : null;
+                if (until && (isNaN(until) || until < start)) {
+                    return res.status(400).json({ error: "repeatUntil must be a date after scheduledFor" });
+                }
+                room.series = { id: _id, startsAt: start, until };
+            }
+        } else {
+            room.status = "live";
+            room.startedAt = new Date();
+        }
+
+        // Invite-only rooms need invitees even when they start right away
+        const invitees = await orgMemberIds(req, inviteeIds);
+        if (!invitees) return res.status(400).json({ error: "inviteeIds must be members of your organisation" });
+        room.invitees = invitees.map((id) => ({ user: id }));
+
+        const created = await Room.create(room);
+        await created.populate("host", "name");
+
+        res.json(roomViewFor(created, user));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── GET /api/rooms/upcoming?mine=true ────────────────────────────────────────
+// Scheduled rooms, soonest first, with the caller's RSVP.
+// mine=true keeps rooms the caller hosts or is invited to.
+router.get("/upcoming", authMiddleware, async (req, res) => {
+    try {
+        const filter = { ...(await visibleRoomsFilter(req.user)), status: "scheduled" };
+        if (req.query.mine === "true") {
+            filter.$and = [{ $or: [{ host: req.user._id }, { coHosts: req.user._id }, { "invitees.user": req.user._id }] }];
+        }
+        const rooms = await Room.find(filter).populate("host", "name").sort({ scheduledFor: 1 }).limit(100);
+        const me = req.user._id.toString();
+        res.json(rooms.map((room) => ({
+            ...roomView(room),
+            invited: room.invitees.some((inv) => inv.user.toString() === me),
+            myRsvp: room.invitees.find((inv) => inv.user.toString() === me)?.rsvp || null,
+        })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        res.json(room);
+// ─── POST /api/rooms/calendar-feed ────────────────────────────────────────────
+// Creates (or replaces) the caller's personal ICS feed URL. The secret is only
+// shown here — calling again gives a new URL and the old one stops working.
+router.post("/calendar-feed", authMiddleware, async (req, res) => {
+    try {
+        const secret = crypto.randomBytes(24).toString("base64url");
+        await User.updateOne({ _id: req.user._id }, { calendarFeedTokenHash: hashToken(secret) });
+        const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get("host")}`;
+        res.json({ url: `${base}/api/rooms/calendar/${secret}.ics` });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── DELETE /api/rooms/calendar-feed ──────────────────────────────────────────
+router.delete("/calendar-feed", authMiddleware, async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user._id }, { calendarFeedTokenHash: null });
+        res.json({ message: "Calendar feed disabled" });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// ─── GET /api/rooms/calendar/:secret.ics ──────────────────────────────────────
+// Public (calendar apps can't send a bearer token) — the secret is the credential.
+// Rooms the user hosts or is invited to (unless they said no), last 30 days onwards.
+router.get("/calendar/:secret.ics", async (req, res) => {
+    try {
+        const user = await User.findOne({ calendarFeedTokenHash: hashToken(req.params.secret), active: { $ne: false } });
+        if (!user || !user.organization) return res.status(404).send("Calendar not found");
+
+        const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const rooms = await Room.find({
+            organization: user.organization,
+            $and: [
+                {
+                    $or: [
+                        { host: user._id },
+                        { coHosts: user._id },
+                        { invitees: { $elemMatch: { user: user._id, rsvp: { $ne: "no" } } } },
+                    ],
+                },
+                { $or: [{ scheduledFor: { $gte: since } }, { startedAt: { $gte: since } }] },
+            ],
+        })
+            .populate("host", "name email")
+            .populate("invitees.user", "name email")
+            .limit(500);
+
+        sendCalendar(res, buildCalendar(calendarEvents(rooms), { name: "WorkReflect rooms" }));
+    } catch (err) {
+        res.status(500).send("Failed to build calendar");
+    }
+});
+
 // ─── GET /api/rooms/list ──────────────────────────────────────────────────────
 router.get("/list", authMiddleware, async (req, res) => {
     try {
-        const orgId = req.user.organization.toString();
-        const rooms = Array.from(activeRooms.values()).filter(
-            (r) => r.organization === orgId && r.live
+        const rooms = await Room.find({ ...(await visibleRoomsFilter(req.user)), status: "live" })
+            .populate("host", "name")
+            .sort({ startedAt: -1 });
+        res.json(rooms.map(roomView));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── GET /api/rooms/history?limit=20&before=<ISO date>&mine=true ──────────────
+// Ended rooms, newest first. mine=true keeps rooms the caller hosted or joined.
+router.get("/history", authMiddleware, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+        const filter = { ...(await visibleRoomsFilter(req.user)), status: "ended" };
+        if (req.query.before) {
+            const before = new Date(req.query.before);
+            if (isNaN(before)) return res.status(400).json({ error: "before must be a valid date" });
+            filter.endedAt = { $lt: before };
+        }
+        if (req.query.mine === "true") {
+            filter.$and = [{ $or: [{ host: req.user._id }, { "participants.user": req.user._id }] }];
+        }
+
+        const rooms = await Room.find(filter)
+            .populate("host", "name")
+            .sort({ endedAt: -1 })
+            .limit(limit + 1);
+        const page = rooms.slice(0, limit);
+
+        res.json({
+            rooms: page.map((room) => ({
+                ...roomView(room),
+                endedReason: room.endedReason,
+                // Distinct people who were in the room at some point
+                attendees: new Set(room.participants.map((p) => p.user.toString())).size,
+            })),
+            nextBefore: rooms.length > limit ? page[page.length - 1].endedAt : null,
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── GET /api/rooms/:roomId ───────────────────────────────────────────────────
+// Room details with every participant session (joined/left)
+router.get("/:roomId", authMiddleware, loadRoom, async (req, res) => {
+    try {
+        await req.room.populate("participants.user", "name");
+        res.json({
+            ...roomViewFor(req.room, req.user),
+            endedReason: req.room.endedReason,
+            sessions: req.room.participants,
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── GET /api/rooms/:roomId/ics ───────────────────────────────────────────────
+// Download the room (or its whole weekly series) as an .ics file
+router.get("/:roomId/ics", authMiddleware, loadRoom, async (req, res) => {
+    try {
+        const room = req.room;
+        const rooms = room.series?.id
+            ? await Room.find({ "series.id": room.series.id, organization: req.user.organization })
+            : [room];
+        await Room.populate(rooms, [
+            { path: "host", select: "name email" },
+            { path: "invitees.user", select: "name email" },
+        ]);
+        sendCalendar(res, buildCalendar(calendarEvents(rooms)), `${room.roomId}.ics`);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── POST /api/rooms/:roomId/invite ───────────────────────────────────────────
+// Host or a co-host invites more members to a room: { userIds }
+router.post("/:roomId/invite", authMiddleware, loadRoom, async (req, res) => {
+    try {
+        const room = req.room;
+        if (!roomPrivileges(room, req.user._id).canModerate) {
+            return res.status(403).json({ error: "Only hosts can invite people" });
+        }
+        if (!["scheduled", "live"].includes(room.status)) return res.status(400).json({ error: "This room is over" });
+
+        const ids = await orgMemberIds(req, req.body.userIds);
+        if (!ids) return res.status(400).json({ error: "userIds must be members of your organisation" });
+
+        const already = new Set(room.invitees.map((inv) => inv.user.toString()));
+        const fresh = ids.filter((id) => !already.has(id.toString()));
+        if (fresh.length) {
+            await Room.updateOne(
+                { _id: room._id },
+                { $push: { invitees: { $each: fresh.map((id) => ({ user: id })) } } }
+            );
+        }
+        const updated = await Room.findById(room._id).populate("host", "name");
+        res.json(roomView(updated));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── POST /api/rooms/:roomId/rsvp ─────────────────────────────────────────────
+// { response: "yes" | "no" | "maybe" } — members who weren't invited can RSVP too
+router.post("/:roomId/rsvp", authMiddleware, loadRoom, async (req, res) => {
+    try {
+        const room = req.room;
+        const { response } = req.body;
+        if (!RSVP_RESPONSES.includes(response)) {
+            return res.status(400).json({ error: `response must be one of: ${RSVP_RESPONSES.join(", ")}` });
+        }
+        if (!["scheduled", "live"].includes(room.status)) return res.status(400).json({ error: "This room is over" });
+
+        const now = new Date();
+        const updated = await Room.updateOne(
+            { _id: room._id, "invitees.user": req.user._id },
+            { $set: { "invitees.$.rsvp": response, "invitees.$.respondedAt": now } }
+        );
+        if (!updated.matchedCount) {
+            await Room.updateOne(
+                { _id: room._id, "invitees.user": { $ne: req.user._id } },
+                { $push: { invitees: { user: req.user._id, rsvp: response, respondedAt: now } } }
+            );
+        }
+        const fresh = await Room.findById(room._id).populate("host", "name");
+        res.json({ ...roomView(fresh), myRsvp: response });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── POST /api/rooms/:roomId/heartbeat ────────────────────────────────────────
+// Sent every ~30s while in the room; silent participants are dropped by the sweeper
+router.post("/:roomId/heartbeat", authMiddleware, loadRoom, async (req, res) => {
+    try {
+        const present = await heartbeat(req.room, req.user._id);
+        if (!present) {
+            // Kicked/banned users are told why so the client can leave instead of rejoining
+            const fresh = await Room.findById(req.room._id).select("kicks banned");
+            return res.status(410).json({ error: entryBlock(fresh, req.user._id) || "not_in_room" });
+        }
+        // A fresh token with the current privileges replaces the one about to expire.
+        // The client also reconnects when canSpeak flips, to update its controls.
+        const privileges = roomPrivileges(req.room, req.user._id);
+        const token = zegoToken(req.user._id.toString(), req.room.roomId, privileges.canSpeak);
+        res.json({ ok: true, ...privileges, ...(token ? { token } : {}) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── Moderation ───────────────────────────────────────────────────────────────
+// Hosts and co-hosts moderate; co-hosts can't act on the host or each other.
+// Changes to who may speak take effect in ZEGO with the next token: the
+// heartbeat reissues it, and the old one expires within ROOM_TOKEN_TTL_SECONDS.
+
+const requireModerator = (req, res, next) => {
+    if (!roomPrivileges(req.room, req.user._id).canModerate) {
+        return res.status(403).json({ error: "Only hosts and co-hosts can do that" });
+    }
+    next();
+};
+
+const requireOpenRoom = (req, res, next) => {
+    if (!["scheduled", "live"].includes(req.room.status)) return res.status(400).json({ error: "This room is over" });
+    next();
+};
+
+// ─── POST/DELETE /api/rooms/:roomId/cohosts/:userId ───────────────────────────
+// Host only. The new co-host must be in the organisation.
+router.post("/:roomId/cohosts/:userId", authMiddleware, loadRoom, requireOpenRoom, async (req, res) => {
+    try {
+        if (!isRoomHost(req.room, req.user)) return res.status(403).json({ error: "Only the host can add co-hosts" });
+        const target = loadTarget(req, res);
+        if (!target) return;
+        if (!(await orgMemberIds(req, [target]))) return res.status(400).json({ error: "userId must be a member of your organisation" });
+
+        await Room.updateOne(
+            { _id: req.room._id },
+            { $addToSet: { coHosts: target }, $pull: { muted: target, handRaises: { user: target } } }
+        );
+        await sendRoom(req, res);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete("/:roomId/cohosts/:userId", authMiddleware, loadRoom, async (req, res) => {
+    try {
+        if (!isRoomHost(req.room, req.user)) return res.status(403).json({ error: "Only the host can remove co-hosts" });
+        const target = loadTarget(req, res);
+        if (!target) return;
+
+        await Room.updateOne({ _id: req.room._id }, { $pull: { coHosts: target } });
+        await sendRoom(req, res);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── POST/DELETE /api/rooms/:roomId/speakers/:userId ──────────────────────────
+// Audio rooms: bring a listener on stage (answers their raised hand) or send them back
+router.post("/:roomId/speakers/:userId", authMiddleware, loadRoom, requireOpenRoom, requireModerator, async (req, res) => {
+    try {
+        if (req.room.type !== "audio") return res.status(400).json({ error: "Everyone can speak in video rooms" });
+        const target = loadTarget(req, res);
+        if (!target) return;
+
+        await Room.updateOne(
+            { _id: req.room._id },
+            { $addToSet: { speakers: target }, $pull: { handRaises: { user: target } } }
         );
-        res.json(rooms);
+        await sendRoom(req, res);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete("/:roomId/speakers/:userId", authMiddleware, loadRoom, requireModerator, async (req, res) => {
+    try {
+        const target = loadTarget(req, res);
+        if (!target) return;
+
+        await Room.updateOne({ _id: req.room._id }, { $pull: { speakers: target } });
+        await sendRoom(req, res);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── POST/DELETE /api/rooms/:roomId/hand ──────────────────────────────────────
+// Listeners raise (or lower) a hand to ask to speak
+router.post("/:roomId/hand", authMiddleware, loadRoom, requireOpenRoom, async (req, res) => {
+    try {
+        if (roomPrivileges(req.room, req.user._id).role !== "listener") {
+            return res.status(400).json({ error: "You can already speak" });
+        }
+        await Room.updateOne(
+            { _id: req.room._id, "handRaises.user": { $ne: req.user._id } },
+            { $push: { handRaises: { user: req.user._id, raisedAt: new Date() } } }
+        );
+        await sendRoom(req, res);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete("/:roomId/hand", authMiddleware, loadRoom, async (req, res) => {
+    try {
+        await Room.updateOne({ _id: req.room._id }, { $pull: { handRaises: { user: req.user._id } } });
+        await sendRoom(req, res);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── POST/DELETE /api/rooms/:roomId/mute/:userId ──────────────────────────────
+router.post("/:roomId/mute/:userId", authMiddleware, loadRoom, requireOpenRoom, requireModerator, async (req, res) => {
+    try {
+        const target = loadTarget(req, res);
+        if (!target) return;
+
+        await Room.updateOne({ _id: req.room._id }, { $addToSet: { muted: target } });
+        await sendRoom(req, res);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete("/:roomId/mute/:userId", authMiddleware, loadRoom, requireModerator, async (req, res) => {
+    try {
+        const target = loadTarget(req, res);
+        if (!target) return;
+
+        await Room.updateOne({ _id: req.room._id }, { $pull: { muted: target } });
+        await sendRoom(req, res);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── POST /api/rooms/:roomId/kick/:userId ─────────────────────────────────────
+// Removes the person now; they can rejoin after a cooldown
+router.post("/:roomId/kick/:userId", authMiddleware, loadRoom, requireOpenRoom, requireModerator, async (req, res) => {
+    try {
+        const target = loadTarget(req, res);
+        if (!target) return;
+
+        await removeFromRoom(req.room, target);
+        await sendRoom(req, res);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── POST/DELETE /api/rooms/:roomId/ban/:userId ───────────────────────────────
+// Removes the person and keeps them out of this room for good (until unbanned)
+router.post("/:roomId/ban/:userId", authMiddleware, loadRoom, requireModerator, async (req, res) => {
+    try {
+        const target = loadTarget(req, res);
+        if (!target) return;
+
+        await removeFromRoom(req.room, target, { ban: true });
+        await sendRoom(req, res);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete("/:roomId/ban/:userId", authMiddleware, loadRoom, requireModerator, async (req, res) => {
+    try {
+        const target = loadTarget(req, res);
+        if (!target) return;
+
+        await Room.updateOne({ _id: req.room._id }, { $pull: { banned: target } });
+        await sendRoom(req, res);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── PATCH /api/rooms/:roomId/settings ────────────────────────────────────────
+// Host only: { privacy: "org" | "invite" | "team", teamId? }
+router.patch("/:roomId/settings", authMiddleware, loadRoom, requireOpenRoom, async (req, res) => {
+    try {
+        if (!isRoomHost(req.room, req.user)) return res.status(403).json({ error: "Only the host can change room settings" });
+        const access = await parsePrivacy(req, req.body);
+        if (access.error) return res.status(400).json({ error: access.error });
+
+        await Room.updateOne({ _id: req.room._id }, { $set: { privacy: access.privacy, team: access.team } });
+        await sendRoom(req, res);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── POST /api/rooms/:roomId/leave ────────────────────────────────────────────
+router.post("/:roomId/leave", authMiddleware, loadRoom, async (req, res) => {
+    try {
+        await leaveRoom(req.room, req.user._id);
+        res.json({ message: "Left the room" });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
 // ─── DELETE /api/rooms/close/:roomId ─────────────────────────────────────────
-router.delete("/close/:roomId", authMiddleware, async (req, res) => {
-    const { roomId } = req.params;
-    const room = activeRooms.get(roomId);
-    if (!room) return res.status(404).json({ error: "Room not found" });
-    if (room.hostId !== req.user._id.toString()) {
-        return res.status(403).json({ error: "Only the host can close the room" });
-    }
-    activeRooms.delete(roomId);
-    res.json({ message: "Room closed" });
+// Ends a live room, or cancels a scheduled one (?series=true cancels the
+// rest of a weekly series too).
+router.delete("/close/:roomId", authMiddleware, loadRoom, async (req, res) => {
+    try {
+        const room = req.room;
+        if (!isRoomHost(room, req.user)) {
+            return res.status(403).json({ error: "Only the host can close the room" });
+        }
+
+        if (room.status === "scheduled") {
+            if (req.query.series === "true" && room.series?.id) {
+                const now = new Date();
+                await Room.updateMany(
+                    { "series.id": room.series.id, status: "scheduled" },
+                    { $set: { status: "cancelled" } }
+                );
+                await Room.updateMany({ "series.id": room.series.id }, { $set: { "series.until": now } });
+                return res.json({ message: "Series cancelled" });
+            }
+            await Room.updateOne({ _id: room._id, status: "scheduled" }, { $set: { status: "cancelled" } });
+            return res.json({ message: "Room cancelled" });
+        }
+
+        await endRoom(room, "host");
+        res.json({ message: "Room closed" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
 module.exports = router;
@@ -0,0 +1,38 @@
+const express = require("express");
+const router = express.Router();
+const authMiddleware = require("../middleware/authMiddleware");
+const { searchReflections } = require("../services/searchService");
+
+// ─── GET /api/search ────────────────────────────────────────────────────
+// Full-text search over the org's post titles, content, AI summaries and comments.
+// Query: q (required), author, tag, from, to, hasAudio=true|false, limit, skip
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const { q, author, tag, from, to, hasAudio } = req.query;
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({ error: "q is required" });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const result = await searchReflections(req.user.organization, {
+      q: String(q).trim(),
+      author,
+      tag,
+      from,
+      to,
+      hasAudio,
+      limit,
+      skip,
+    });
+
+    res.json(result);
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("Search error:", err);
+    res.status(500).json({ error: "Search failed", details: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,67 +1,131 @@
 const express = require("express");
+const crypto = require("crypto");
 const router = express.Router();
 const authMiddleware = require("../middleware/authMiddleware");
+const requireVerifiedEmail = require("../middleware/requireVerifiedEmail");
+const mongoose = require("mongoose");
 const User = require("../models/User");
+const Organization = require("../models/Organization");
+const Invoice = require("../models/Invoice");
+const StripeEvent = require("../models/StripeEvent");
+const requirePermission = require("../middleware/requirePermission");
+const { can } = require("../config/permissions");
+const stripe = require("../config/stripe");
+const {
+    getEffectivePlan,
+    graceEndsAt,
+    assignSeat,
+    releaseSeat,
+    syncOrgSubscription,
+    syncUserSubscription,
+} = require("../services/billingService");
+const { handleWebhookEvent, replayEvent } = require("../services/stripeWebhooks");
+const { getEntitlements } = require("../services/entitlementService");
+const { resolvePlanChoice, catalogView, INTERVALS, DEFAULT_CURRENCY } = require("../config/planCatalog");
+const {
+    createSubscriptionCheckout,
+    changeSubscriptionPlan,
+    createPortalSession,
+} = require("../services/checkoutService");
 
-let stripe;
-try {
-    stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
-} catch (e) {
-    console.warn("⚠️  stripe package not installed yet. Run: npm install stripe");
-}
+// Stripe customer for a user's personal subscription (created on first checkout)
+const ensureUserCustomer = async (user) => {
+    if (user.stripeCustomerId) return user.stripeCustomerId;
+    const customer = await stripe.customers.create({
+        email: user.email,
+        name: user.name,
+        metadata: { userId: user._id.toString() },
+    });
+    await User.findByIdAndUpdate(user._id, { stripeCustomerId: customer.id });
+    return customer.id;
+};
+
+// Errors thrown with a status (bad promotion code, plan not in the catalog) are the caller's fault
+const sendStripeError = (res, err, label) => {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error(`${label}:`, err);
+    res.status(500).json({ error: err.message });
+};
+
+// ─── GET /api/stripe/plans ───────────────────────────────────────────────────
+// The plan catalog (prices per interval and currency, trial length)
+router.get("/plans", (req, res) => {
+    res.json({ plans: catalogView(), intervals: INTERVALS, defaultCurrency: DEFAULT_CURRENCY });
+});
 
 // ─── POST /api/stripe/create-checkout ───────────────────────────────────────
-// Creates a Stripe Checkout session for the Pro plan subscription
-router.post("/create-checkout", authMiddleware, async (req, res) => {
+// Checkout for a personal plan.
+// Body: { plan = "pro", interval = "month" | "year", currency?, promotionCode?, returnPath? }
+router.post("/create-checkout", authMiddleware, requireVerifiedEmail, async (req, res) => {
     if (!stripe) return res.status(503).json({ error: "Stripe not configured" });
 
     try {
         const user = req.user;
+        const { plan = "pro", interval, currency, promotionCode, returnPath = "/" } = req.body;
+        const choice = resolvePlanChoice({ plan, interval, currency }, "personal");
+        if (choice.error) return res.status(400).json({ error: choice.error });
 
-        // Create or retrieve Stripe customer
-        let customerId = user.stripeCustomerId;
-        if (!customerId) {
-            const customer = await stripe.customers.create({
-                email: user.email,
-                name: user.name,
-                metadata: { userId: user._id.toString() },
-            });
-            customerId = customer.id;
-            await User.findByIdAndUpdate(user._id, { stripeCustomerId: customerId });
+        if (user.stripeSubscriptionId && user.plan !== "free") {
+            return res.status(409).json({ error: "You already have a subscription — change its plan instead" });
         }
 
         // returnPath lets each page redirect back to itself after payment
-        const { returnPath = "/" } = req.body;
-        const base = process.env.FRONTEND_URL || "http://localhost:3000";
-
-        const session = await stripe.checkout.sessions.create({
-            customer: customerId,
-            payment_method_types: ["card"],
-            mode: "subscription",
-            line_items: [
-                {
-                    price_data: {
-                        currency: "inr",
-                        recurring: { interval: "month" },
-                        product_data: {
-                            name: "WorkReflect — Pro Plan",
-                            description: "Live Rooms, Reflection Streaks & Gamification, AI summaries & more",
-                            images: [],
-                        },
-                        unit_amount: 15000, // ₹150 in paise
-                    },
-                    quantity: 1,
-                },
-            ],
-            success_url: `${base}${returnPath}?upgraded=true&session_id={CHECKOUT_SESSION_ID}`,
-            cancel_url: `${base}${returnPath}?canceled=true`,
+        const session = await createSubscriptionCheckout({
+            customer: await ensureUserCustomer(user),
+            choice,
+            trialFor: user,
+            promotionCode,
             metadata: { userId: user._id.toString() },
+            returnPath,
         });
 
         res.json({ url: session.url });
     } catch (err) {
-        console.error("Stripe checkout error:", err);
-        res.status(500).json({ error: err.message });
+        sendStripeError(res, err, "Stripe checkout error");
+    }
+});
+
+// ─── POST /api/stripe/change-plan ────────────────────────────────────────────
+// Switch the personal subscription's plan or interval, prorated: { plan?, interval }
+router.post("/change-plan", authMiddleware, async (req, res) => {
+    if (!stripe) return res.status(503).json({ error: "Stripe not configured" });
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user.stripeSubscriptionId || user.plan === "free") {
+            return res.status(400).json({ error: "No active subscription found" });
+        }
+        const { plan = user.plan, interval } = req.body;
+        const sub = await changeSubscriptionPlan(user.stripeSubscriptionId, { plan, interval }, "personal");
+        await syncUserSubscription(user, sub);
+        res.json({ plan: user.plan, interval: sub.items.data[0].price.recurring?.interval, subscriptionStatus: user.subscriptionStatus });
+    } catch (err) {
+        sendStripeError(res, err, "Plan change error");
+    }
+});
+
+// ─── POST /api/stripe/portal ─────────────────────────────────────────────────
+// Stripe customer portal for payment methods and invoices.
+// Body: { returnPath?, for?: "personal" | "organization" }
+router.post("/portal", authMiddleware, async (req, res) => {
+    if (!stripe) return res.status(503).json({ error: "Stripe not configured" });
+    try {
+        const { returnPath = "/", for: billedTo = "personal" } = req.body;
+
+        let customerId;
+        if (billedTo === "organization") {
+            if (!can(req.user, "billing:manage")) {
+                return res.status(403).json({ error: "You don't have permission to do that" });
+            }
+            customerId = (await Organization.findById(req.user.organization))?.stripeCustomerId;
+        } else {
+            customerId = req.user.stripeCustomerId;
+        }
+        if (!customerId) return res.status(400).json({ error: "No billing account yet — subscribe first" });
+
+        const session = await createPortalSession(customerId, returnPath);
+        res.json({ url: session.url });
+    } catch (err) {
+        sendStripeError(res, err, "Portal session error");
     }
 });
 
@@ -90,54 +154,47 @@ router.post(
             return res.status(400).send(`Webhook Error: ${err.message}`);
         }
 
-        // Handle events
-        switch (event.type) {
-            case "checkout.session.completed": {
-                const session = event.data.object;
-                const userId = session.metadata?.userId;
-                if (userId) {
-                    await User.findByIdAndUpdate(userId, {
-                        plan: "pro",
-                        subscriptionStatus: "active",
-                        stripeSubscriptionId: session.subscription,
-                    });
-                    console.log(`✅ User ${userId} upgraded to Pro`);
-                }
-                break;
-            }
-            case "customer.subscription.deleted":
-            case "customer.subscription.updated": {
-                const sub = event.data.object;
-                const status = sub.status; // active | canceled | past_due
-                await User.findOneAndUpdate(
-                    { stripeSubscriptionId: sub.id },
-                    {
-                        plan: status === "active" ? "pro" : "free",
-                        subscriptionStatus: status,
-                    }
-                );
-                break;
-            }
+        // Logged first, so a failure here is retried by the event worker
+        // instead of being lost — Stripe only needs to hear that we have it
+        try {
+            const { entry, duplicate } = await handleWebhookEvent(event);
+            res.json({ received: true, duplicate, status: entry.status });
+        } catch (err) {
+            // Couldn't even log it — let Stripe redeliver
+            console.error("Webhook logging error:", err.message);
+            res.status(500).send("Could not record event");
         }
-
-        res.json({ received: true });
     }
 );
 
 // ─── GET /api/stripe/status ───────────────────────────────────────────────────
-// Returns the logged-in user's current plan
+// Returns the logged-in user's current plan — an org seat wins over a personal plan
 router.get("/status", authMiddleware, async (req, res) => {
     try {
-        const user = await User.findById(req.user._id).select("plan subscriptionStatus stripeCustomerId");
+        const user = req.user;
+        const { plan, source } = await getEffectivePlan(user);
         res.json({
-            plan: user.plan || "free",
+            plan,
+            source,
             subscriptionStatus: user.subscriptionStatus || "inactive",
+            // Set while a failed payment is being retried; access stops after it
+            graceEndsAt: graceEndsAt(user),
         });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// ─── GET /api/stripe/entitlements ─────────────────────────────────────────────
+// Features of the caller's plan and how much of each quota is left
+router.get("/entitlements", authMiddleware, async (req, res) => {
+    try {
+        res.json(await getEntitlements(req.user));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // ─── POST /api/stripe/cancel ─────────────────────────────────────────────────
 // Cancels the active subscription at period end
 router.post("/cancel", authMiddleware, async (req, res) => {
@@ -172,26 +229,294 @@ router.post("/verify-session", authMiddleware, async (req, res) => {
             return res.status(400).json({ error: "Payment not completed", status: session.status });
         }
 
+        // Org seat purchase — sync the subscription onto the caller's organisation
+        const sessionOrgId = session.metadata?.organizationId;
+        if (sessionOrgId) {
+            if (sessionOrgId !== req.user.organization?.toString() || !can(req.user, "billing:manage")) {
+                return res.status(403).json({ error: "Session does not belong to this organisation" });
+            }
+            const org = await Organization.findById(sessionOrgId);
+            const sub = await stripe.subscriptions.retrieve(session.subscription);
+            await syncOrgSubscription(org, sub);
+            const { plan } = await getEffectivePlan(req.user);
+            return res.json({ success: true, plan, seats: org.seats });
+        }
+
         // Verify this session belongs to this user
-        const user = await require("../models/User").findById(req.user._id);
+        const user = await User.findById(req.user._id);
         const sessionUserId = session.metadata?.userId;
         if (sessionUserId && sessionUserId !== user._id.toString()) {
             return res.status(403).json({ error: "Session does not belong to this user" });
         }
 
-        // Upgrade user immediately
-        await require("../models/User").findByIdAndUpdate(user._id, {
-            plan: "pro",
-            subscriptionStatus: "active",
-            stripeSubscriptionId: session.subscription || user.stripeSubscriptionId,
-        });
+        // Upgrade user immediately, with the subscription's real status (e.g. trialing)
+        if (session.subscription) {
+            await syncUserSubscription(user, await stripe.subscriptions.retrieve(session.subscription));
+        } else {
+            await User.findByIdAndUpdate(user._id, { plan: "pro", subscriptionStatus: "active" });
+        }
 
         console.log(`✅ User ${user._id} verified and upgraded to Pro via session ${sessionId}`);
-        res.json({ success: true, plan: "pro" });
+        const { plan } = await getEffectivePlan(await User.findById(user._id));
+        res.json({ success: true, plan });
     } catch (err) {
         console.error("Verify session error:", err);
         res.status(500).json({ error: err.message });
     }
 });
 
+// ─── Organisation seats (enterprise) ─────────────────────────────────────────
+// The org admin buys N seats in one subscription (quantity = seats) and
+// assigns them to members. Members with a seat get the enterprise plan.
+
+const MAX_SEATS = 1000;
+
+const parseSeats = (value) => {
+    const seats = Number(value);
+    return Number.isInteger(seats) && seats >= 1 && seats <= MAX_SEATS ? seats : null;
+};
+
+const orgBillingView = async (org) => {
+    await org.populate("seatHolders", "name email role");
+    return {
+        plan: org.plan,
+        subscriptionStatus: org.subscriptionStatus,
+        graceEndsAt: graceEndsAt(org),
+        seats: org.seats,
+        seatsUsed: org.seatHolders.length,
+        seatHolders: org.seatHolders,
+    };
+};
+
+// ─── GET /api/stripe/org ─────────────────────────────────────────────────────
+router.get("/org", authMiddleware, requirePermission("billing:manage"), async (req, res) => {
+    try {
+        const org = await Organization.findById(req.user.organization);
+        if (!org) return res.status(404).json({ error: "Organisation not found" });
+        res.json(await orgBillingView(org));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── POST /api/stripe/org/checkout ───────────────────────────────────────────
+// Checkout for an org subscription.
+// Body: { seats, plan = "enterprise", interval?, currency?, promotionCode?, returnPath? }
+router.post("/org/checkout", authMiddleware, requireVerifiedEmail, requirePermission("billing:manage"), async (req, res) => {
+    if (!stripe) return res.status(503).json({ error: "Stripe not configured" });
+
+    try {
+        const seats = parseSeats(req.body.seats);
+        if (!seats) return res.status(400).json({ error: `seats must be a whole number between 1 and ${MAX_SEATS}` });
+
+        const { plan = "enterprise", interval, currency, promotionCode, returnPath = "/" } = req.body;
+        const choice = resolvePlanChoice({ plan, interval, currency }, "organization");
+        if (choice.error) return res.status(400).json({ error: choice.error });
+
+        const org = await Organization.findById(req.user.organization);
+        if (!org) return res.status(404).json({ error: "Organisation not found" });
+        if (org.plan !== "free" && org.stripeSubscriptionId) {
+            return res.status(409).json({ error: "The organisation already has a subscription — change its seat count instead" });
+        }
+
+        if (!org.stripeCustomerId) {
+            const customer = await stripe.customers.create({
+                email: req.user.email,
+                name: org.name,
+                metadata: { organizationId: org._id.toString() },
+            });
+            org.stripeCustomerId = customer.id;
+            await org.save();
+        }
+
+        const session = await createSubscriptionCheckout({
+            customer: org.stripeCustomerId,
+            choice,
+            quantity: seats,
+            trialFor: org,
+            promotionCode,
+            metadata: { organizationId: org._id.toString(), purchasedBy: req.user._id.toString() },
+            returnPath,
+        });
+
+        res.json({ url: session.url });
+    } catch (err) {
+        sendStripeError(res, err, "Stripe org checkout error");
+    }
+});
+
+// ─── POST /api/stripe/org/change-plan ────────────────────────────────────────
+// Switch the org subscription's plan or interval, prorated: { plan?, interval }
+router.post("/org/change-plan", authMiddleware, requirePermission("billing:manage"), async (req, res) => {
+    if (!stripe) return res.status(503).json({ error: "Stripe not configured" });
+    try {
+        const org = await Organization.findById(req.user.organization);
+        if (!org?.stripeSubscriptionId || org.plan === "free") {
+            return res.status(400).json({ error: "The organisation has no active subscription" });
+        }
+        const { plan = org.plan, interval } = req.body;
+        const sub = await changeSubscriptionPlan(org.stripeSubscriptionId, { plan, interval }, "organization");
+        await syncOrgSubscription(org, sub);
+        res.json(await orgBillingView(org));
+    } catch (err) {
+        sendStripeError(res, err, "Org plan change error");
+    }
+});
+
+// ─── PATCH /api/stripe/org/seats ─────────────────────────────────────────────
+// Change the number of seats: { seats }. Stripe prorates the difference.
+router.patch("/org/seats", authMiddleware, requirePermission("billing:manage"), async (req, res) => {
+    if (!stripe) return res.status(503).json({ error: "Stripe not configured" });
+
+    try {
+        const seats = parseSeats(req.body.seats);
+        if (!seats) return res.status(400).json({ error: `seats must be a whole number between 1 and ${MAX_SEATS}` });
+
+        const org = await Organization.findById(req.user.organization);
+        if (!org?.stripeSubscriptionId || org.plan === "free") {
+            return res.status(400).json({ error: "The organisation has no active subscription" });
+        }
+        if (seats < org.seatHolders.length) {
+            return res.status(400).json({
+                error: `${org.seatHolders.length} seats are assigned — unassign some before going down to ${seats}`,
+            });
+        }
+
+        const current = await stripe.subscriptions.retrieve(org.stripeSubscriptionId);
+        const sub = await stripe.subscriptions.update(org.stripeSubscriptionId, {
+            items: [{ id: current.items.data[0].id, quantity: seats }],
+            proration_behavior: "create_prorations",
+        });
+        await syncOrgSubscription(org, sub);
+        res.json(await orgBillingView(org));
+    } catch (err) {
+        console.error("Seat update error:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── PUT /api/stripe/org/seats/:userId ───────────────────────────────────────
+router.put("/org/seats/:userId", authMiddleware, requirePermission("billing:manage"), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const member = mongoose.isValidObjectId(userId)
+            && await User.findOne({ _id: userId, organization: req.user.organization, active: { $ne: false } });
+        if (!member) return res.status(404).json({ error: "Member not found" });
+
+        if (!(await assignSeat(req.user.organization, member._id))) {
+            return res.status(409).json({ error: "No free seats — buy more seats first" });
+        }
+        const org = await Organization.findById(req.user.organization);
+        res.json(await orgBillingView(org));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── DELETE /api/stripe/org/seats/:userId ────────────────────────────────────
+router.delete("/org/seats/:userId", authMiddleware, requirePermission("billing:manage"), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.isValidObjectId(userId)) return res.status(404).json({ error: "Member not found" });
+
+        await releaseSeat(req.user.organization, userId);
+        const org = await Organization.findById(req.user.organization);
+        res.json(await orgBillingView(org));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── POST /api/stripe/org/cancel ─────────────────────────────────────────────
+// Cancels the org subscription at period end; seats keep working until then
+router.post("/org/cancel", authMiddleware, requirePermission("billing:manage"), async (req, res) => {
+    if (!stripe) return res.status(503).json({ error: "Stripe not configured" });
+    try {
+        const org = await Organization.findById(req.user.organization);
+        if (!org?.stripeSubscriptionId) {
+            return res.status(400).json({ error: "No active subscription found" });
+        }
+        await stripe.subscriptions.update(org.stripeSubscriptionId, { cancel_at_period_end: true });
+        res.json({ message: "Subscription will cancel at period end" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── GET /api/stripe/invoices ────────────────────────────────────────────────
+// Billing history: the caller's own invoices, plus the organisation's for
+// those who manage billing. Each invoice says which it is in `billedTo`.
+router.get("/invoices", authMiddleware, async (req, res) => {
+    try {
+        const owners = [{ user: req.user._id }];
+        if (req.user.organization && can(req.user, "billing:manage")) {
+            owners.push({ organization: req.user.organization });
+        }
+        const invoices = await Invoice.find({ $or: owners }).sort({ createdAt: -1 }).limit(100).lean();
+
+        res.json({
+            invoices: invoices.map((inv) => ({
+                _id: inv._id,
+                billedTo: inv.organization ? "organization" : "personal",
+                number: inv.number,
+                status: inv.status,
+                currency: inv.currency,
+                amountDue: inv.amountDue,
+                amountPaid: inv.amountPaid,
+                periodStart: inv.periodStart,
+                periodEnd: inv.periodEnd,
+                paidAt: inv.paidAt,
+                nextPaymentAttempt: inv.nextPaymentAttempt,
+                hostedInvoiceUrl: inv.hostedInvoiceUrl,
+                invoicePdf: inv.invoicePdf,
+                createdAt: inv.createdAt,
+            })),
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── Webhook event log (operators) ───────────────────────────────────────────
+// Not tied to any organisation, so guarded by the OPS_API_KEY shared secret
+// (header x-ops-key) rather than a user role.
+const requireOpsKey = (req, res, next) => {
+    const expected = process.env.OPS_API_KEY;
+    if (!expected) return res.status(503).json({ error: "OPS_API_KEY not set" });
+    const given = Buffer.from(String(req.headers["x-ops-key"] || ""));
+    const key = Buffer.from(expected);
+    if (given.length !== key.length || !crypto.timingSafeEqual(given, key)) {
+        return res.status(401).json({ error: "Invalid ops key" });
+    }
+    next();
+};
+
+// ─── GET /api/stripe/events ──────────────────────────────────────────────────
+// ?status=failed|pending|processed|ignored&limit=
+router.get("/events", requireOpsKey, async (req, res) => {
+    try {
+        const { status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const events = await StripeEvent.find(status ? { status: String(status) } : {})
+            .select("-payload")
+            .sort({ createdAt: -1 })
+            .limit(limit);
+        res.json(events);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── POST /api/stripe/events/:eventId/replay ─────────────────────────────────
+// Re-run a failed or ignored event now
+router.post("/events/:eventId/replay", requireOpsKey, async (req, res) => {
+    try {
+        const entry = await replayEvent(req.params.eventId);
+        if (!entry) return res.status(404).json({ error: "No failed or ignored event with that id" });
+        res.json({ eventId: entry.eventId, status: entry.status, error: entry.error });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,146 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Team = require("../models/Team");
+const Post = require("../models/Post");
+const Invite = require("../models/Invite");
+const User = require("../models/User");
+const authMiddleware = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
+const { requireOrgTeam } = require("../middleware/orgScope");
+const { can } = require("../config/permissions");
+
+const includesId = (list, id) => list.some((x) => x.toString() === id.toString());
+
+// Admins manage every team; a team lead manages their own team's membership
+const canManageTeam = (req, res, next) => {
+  if (can(req.user, "teams:manage") || includesId(req.team.leads, req.user._id)) return next();
+  return res.status(403).json({ error: "Only admins or this team's leads can do that" });
+};
+
+const populateTeam = (team) =>
+  team.populate([
+    { path: "members", select: "name email role" },
+    { path: "leads", select: "name email role" },
+  ]);
+
+// ─── GET /api/teams ─────────────────────────────────────────────────────
+// All teams in the org. ?mine=true limits to teams the caller belongs to.
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const query = { organization: req.user.organization };
+    if (req.query.mine === "true") query.members = req.user._id;
+
+    const teams = await Team.find(query).sort({ name: 1 }).lean();
+    res.json(teams.map((t) => ({
+      _id: t._id,
+      name: t.name,
+      description: t.description,
+      memberCount: t.members.length,
+      leads: t.leads,
+      isMember: includesId(t.members, req.user._id),
+    })));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch teams", details: err.message });
+  }
+});
+
+// ─── GET /api/teams/:id ─────────────────────────────────────────────────
+router.get("/:id", authMiddleware, requireOrgTeam, async (req, res) => {
+  try {
+    res.json(await populateTeam(req.team));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch team", details: err.message });
+  }
+});
+
+// ─── POST /api/teams ────────────────────────────────────────────────────
+router.post("/", authMiddleware, requirePermission("teams:manage"), async (req, res) => {
+  try {
+    const { name, description = "" } = req.body;
+    if (!name || !name.trim()) return res.status(400).json({ error: "Name is required" });
+
+    const team = await Team.create({
+      name: name.trim(),
+      description,
+      organization: req.user.organization,
+      createdBy: req.user._id,
+    });
+    res.status(201).json(team);
+  } catch (err) {
+    if (err.code === 11000) return res.status(400).json({ error: "A team with that name already exists" });
+    res.status(500).json({ error: "Failed to create team", details: err.message });
+  }
+});
+
+// ─── PATCH /api/teams/:id ───────────────────────────────────────────────
+router.patch("/:id", authMiddleware, requireOrgTeam, canManageTeam, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ error: "Name cannot be empty" });
+      req.team.name = String(name).trim();
+    }
+    if (description !== undefined) req.team.description = description;
+    await req.team.save();
+    res.json(req.team);
+  } catch (err) {
+    if (err.code === 11000) return res.status(400).json({ error: "A team with that name already exists" });
+    res.status(500).json({ error: "Failed to update team", details: err.message });
+  }
+});
+
+// ─── DELETE /api/teams/:id ──────────────────────────────────────────────
+// Posts labelled with the team keep existing and lose the label.
+router.delete("/:id", authMiddleware, requirePermission("teams:manage"), requireOrgTeam, async (req, res) => {
+  try {
+    await Post.updateMany({ team: req.team._id }, { team: null });
+    await Invite.updateMany({ team: req.team._id }, { team: null });
+    await req.team.deleteOne();
+    res.json({ message: "Team deleted" });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to delete team", details: err.message });
+  }
+});
+
+// ─── PUT /api/teams/:id/members/:userId ─────────────────────────────────
+// Add a member (or update them): { lead?: boolean }
+router.put("/:id/members/:userId", authMiddleware, requireOrgTeam, canManageTeam, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const user = mongoose.isValidObjectId(userId)
+      && await User.findOne({ _id: userId, organization: req.user.organization, active: { $ne: false } });
+    if (!user) return res.status(404).json({ error: "Member not found" });
+
+    const team = req.team;
+    if (!includesId(team.members, user._id)) team.members.push(user._id);
+
+    const { lead } = req.body;
+    if (lead === true && !includesId(team.leads, user._id)) team.leads.push(user._id);
+    if (lead === false) team.leads.pull(user._id);
+
+    await team.save();
+    res.json(await populateTeam(team));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to add team member", details: err.message });
+  }
+});
+
+// ─── DELETE /api/teams/:id/members/:userId ──────────────────────────────
+router.delete("/:id/members/:userId", authMiddleware, requireOrgTeam, canManageTeam, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId) || !includesId(req.team.members, userId)) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+
+    req.team.members.pull(userId);
+    req.team.leads.pull(userId);
+    await req.team.save();
+    res.json(await populateTeam(req.team));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to remove team member", details: err.message });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,14 @@ require("dotenv").config();
 
 const app = express();
 
+// Behind a proxy (Render, Vercel …) req.ip must come from X-Forwarded-For,
+// otherwise every client shares the proxy's rate-limit bucket.
+// TRUST_PROXY: hop count ("1") or a list of addresses/subnets.
+if (process.env.TRUST_PROXY) {
+    const hops = /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY;
+    app.set("trust proxy", hops);
+}
+
 const allowedOrigins = [
     "http://localhost:3000",
     "https://workreflect.vercel.app"
@@ -35,7 +43,14 @@ app.use("/api/stripe/webhook", express.raw({ type: "application/json" }));
 app.use(express.json());
 
 mongoose.connect(process.env.MONGO_URI)
-    .then(() => console.log("✅ MongoDB Connected"))
+    .then(async () => {
+        console.log("✅ MongoDB Connected");
+        await require("./services/migrations").run();
+        require("./services/feedbackWorker").start();
+        require("./services/transcriptionWorker").start();
+        require("./services/stripeWebhooks").start();
+        require("./services/roomService").start();
+    })
     .catch(err => {
         console.error("❌ MongoDB connection failed:", err.message);
         console.error("👉 Make sure MongoDB is running locally (mongod) or your Atlas URI is correct in .env");
@@ -51,11 +66,14 @@ const commentRoutes = require("./routes/commentRoutes");
 app.use("/api/comments", commentRoutes);
 app.use("/api/auth", require("./routes/authRoutes"));
 app.use("/api/org", require("./routes/orgRoutes"));
+app.use("/api/teams", require("./routes/teamRoutes"));
 app.use("/api/analytics", require("./routes/analyticsRoutes"));
+app.use("/api/search", require("./routes/searchRoutes"));
 
 // 💎 New Premium routes
 app.use("/api/stripe", require("./routes/stripeRoutes"));
 app.use("/api/rooms", require("./routes/roomRoutes"));
+app.use("/api/podcast", require("./routes/podcastRoutes"));
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`Server running on ${PORT}`));
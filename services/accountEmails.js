@@ -0,0 +1,27 @@
+const { sendMail } = require("./mailer");
+const { signActionToken } = require("./tokenService");
+
+// ─── Account emails (verification + password reset) ─────────────────────
+
+const frontendUrl = (pathname, token) =>
+  `${process.env.FRONTEND_URL || "http://localhost:3000"}${pathname}?token=${encodeURIComponent(token)}`;
+
+async function sendVerificationEmail(user) {
+  const link = frontendUrl("/verify-email", signActionToken(user, "verify-email", "24h"));
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your WorkReflect email",
+    text: `Hi ${user.name || "there"},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const link = frontendUrl("/reset-password", signActionToken(user, "reset-password", "1h"));
+  await sendMail({
+    to: user.email,
+    subject: "Reset your WorkReflect password",
+    text: `Hi ${user.name || "there"},\n\nSomeone asked to reset the password for this account. If that was you, open this link:\n${link}\n\nThe link expires in 1 hour and works once. If you didn't ask for this, you can ignore this email.`,
+  });
+}
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
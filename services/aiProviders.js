@@ -0,0 +1,158 @@
+require("dotenv").config();
+
+// ─── Provider registry ──────────────────────────────────────────────────
+// Each provider exposes: isConfigured() and complete(prompt, model) → string.
+// complete() throws on any failure so the chain can move to the next provider.
+
+let groqClient;
+let geminiClient;
+
+const providers = {
+  openrouter: {
+    defaultModel: () => process.env.OPENROUTER_MODEL || "google/gemma-3-12b-it:free",
+    isConfigured: () => !!process.env.OPENROUTER_API_KEY,
+    async complete(prompt, model) {
+      const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: "user", content: prompt }],
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        console.log("OpenRouter error:", data);
+        const err = new Error(data.error?.message || "OpenRouter request failed");
+        err.status = response.status;
+        throw err;
+      }
+
+      return data.choices[0].message.content;
+    },
+  },
+
+  groq: {
+    defaultModel: () => process.env.GROQ_MODEL || "llama-3.3-70b-versatile",
+    isConfigured: () => !!process.env.GROQ_API_KEY,
+    async complete(prompt, model) {
+      if (!groqClient) {
+        const Groq = require("groq-sdk");
+        groqClient = new Groq({ apiKey: process.env.GROQ_API_KEY });
+      }
+      const completion = await groqClient.chat.completions.create({
+        model,
+        messages: [{ role: "user", content: prompt }],
+      });
+      return completion.choices[0].message.content;
+    },
+  },
+
+  gemini: {
+    defaultModel: () => process.env.GEMINI_MODEL || "gemini-2.0-flash",
+    isConfigured: () => !!process.env.GEMINI_API_KEY,
+    async complete(prompt, model) {
+      if (!geminiClient) {
+        const { GoogleGenAI } = require("@google/genai");
+        geminiClient = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+      }
+      const response = await geminiClient.models.generateContent({ model, contents: prompt });
+      return response.text;
+    },
+  },
+
+  // Deterministic offline provider for development and tests — no network.
+  // Echoes back a well-formed answer derived from the reflection text.
+  mock: {
+    defaultModel: () => "mock",
+    isConfigured: () => true,
+    async complete(prompt) {
+      const text = (prompt.split("REFLECTION TEXT:")[1] || "").trim().replace(/\s+/g, " ");
+      const firstSentence = (text.match(/^[^.!?]*[.!?]?/) || [""])[0].trim() || "No content provided.";
+      const words = text.split(" ").filter(Boolean).length;
+
+      return [
+        "Summary:",
+        firstSentence,
+        `The reflection is ${words} words long.`,
+        "",
+        "Suggestions:",
+        "- Break the work into smaller, reviewable steps",
+        "- Share what you learned with the team",
+        "- Set one measurable goal for next week",
+        "",
+        "Questions:",
+        "- What would you do differently next time?",
+        "- Who could help you with the hardest part?",
+        "",
+        "Reflection:",
+        "Taking time to reflect is already a step forward.",
+      ].join("\n");
+    },
+  },
+};
+
+// Providers that can be chosen (by AI_PROVIDER or an organisation). The mock is
+// never one of them — it is only the offline fallback outside production.
+const PROVIDER_NAMES = Object.keys(providers).filter((name) => name !== "mock");
+
+const parseList = (value) =>
+  (value || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Resolve the ordered list of { name, model } to try.
+ * Preference: explicit option (e.g. the organisation's setting) → AI_PROVIDER → openrouter,
+ * followed by AI_FALLBACK_PROVIDERS. Unknown, unconfigured or mock providers are skipped.
+ */
+function resolveChain({ provider, model } = {}) {
+  const preferred = (provider || process.env.AI_PROVIDER || "openrouter").toLowerCase();
+  const fallbacks = process.env.AI_FALLBACK_PROVIDERS !== undefined
+    ? parseList(process.env.AI_FALLBACK_PROVIDERS)
+    : ["groq", "gemini"];
+
+  const names = [...new Set([preferred, ...fallbacks])]
+    .filter((name) => PROVIDER_NAMES.includes(name) && providers[name].isConfigured());
+
+  // Nothing usable (no API keys) — keep local development working offline
+  if (!names.length && process.env.NODE_ENV !== "production") {
+    console.warn("⚠️  No AI provider configured, using mock provider");
+    names.push("mock");
+  }
+
+  return names.map((name) => ({
+    name,
+    model: name === preferred && model ? model : providers[name].defaultModel(),
+  }));
+}
+
+/**
+ * Send a prompt through the provider chain, falling back on errors and rate limits.
+ * Resolves to { text, provider, model } from the first provider that answers.
+ */
+async function complete(prompt, options = {}) {
+  const chain = resolveChain(options);
+  // Retrying won't help until the configuration changes
+  if (!chain.length) throw Object.assign(new Error("No AI provider configured"), { permanent: true });
+
+  const errors = [];
+  for (const { name, model } of chain) {
+    try {
+      const text = await providers[name].complete(prompt, model);
+      if (!text || !text.trim()) throw new Error("Empty response");
+      return { text, provider: name, model };
+    } catch (err) {
+      const reason = err.status === 429 ? "rate limited" : err.message;
+      console.log(`AI provider ${name} (${model}) failed: ${reason}`);
+      errors.push(`${name}: ${reason}`);
+    }
+  }
+
+  throw new Error(`All AI providers failed — ${errors.join("; ")}`);
+}
+
+module.exports = { complete, resolveChain, PROVIDER_NAMES };
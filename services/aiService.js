@@ -1,8 +1,15 @@
 require("dotenv").config();
+const { complete } = require("./aiProviders");
 
-async function generateFeedback(content) {
-const prompt = `
+const SECTIONS = ["Summary", "Suggestions", "Questions", "Reflection"];
+
+// Spoken reflections: the transcript is added after the typed text
+const reflectionText = (content, transcript) =>
+  transcript ? `${content || ""}\n\nAUDIO TRANSCRIPT:\n${transcript}` : content;
+
+const buildPrompt = (content) => `
 You are an internal reflection assistant.
+If the reflection includes an AUDIO TRANSCRIPT of a voice note, treat it as part of the reflection.
 
 Analyze the reflection below and respond ONLY in the format given.
 Do NOT add introductions, explanations, or extra text.
@@ -28,26 +35,97 @@ REFLECTION TEXT:
 ${content}
 `;
 
-  const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      model: "google/gemma-3-12b-it:free",
-      messages: [{ role: "user", content: prompt }],
-    }),
+// Used on retry when the first answer could not be parsed
+const buildStrictPrompt = (content) => `
+You are an internal reflection assistant.
+If the reflection includes an AUDIO TRANSCRIPT of a voice note, treat it as part of the reflection.
+
+Your previous answer did not follow the required format. Respond again using
+EXACTLY these four headings, in this order, each on its own line and followed
+by a colon: Summary, Suggestions, Questions, Reflection.
+- Summary: plain text, at most 2 lines.
+- Suggestions: 1 to 3 bullet lines, each starting with "- ".
+- Questions: 1 to 2 bullet lines, each starting with "- ".
+- Reflection: one short sentence.
+No markdown, no bold, no numbering, no text before "Summary:" or after the reflection.
+
+Summary:
+...
+
+Suggestions:
+- ...
+
+Questions:
+- ...
+
+Reflection:
+...
+
+REFLECTION TEXT:
+${content}
+`;
+
+// Strip list markers ("- ", "* ", "1. ") and markdown emphasis from a line
+const cleanLine = (line) =>
+  line
+    .replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "")
+    .replace(/\*\*|__/g, "")
+    .trim();
+
+/**
+ * Parse the model's sectioned answer into { summary, suggestions, questions, insight }.
+ * Returns null when any section is missing or empty so the caller can retry.
+ */
+function parseFeedback(text) {
+  if (!text || typeof text !== "string") return null;
+
+  const heading = new RegExp(`^\\s*[#*_]*\\s*(${SECTIONS.join("|")})\\s*[*_]*\\s*(:?)[*_]*\\s*(.*)$`, "i");
+  const buckets = {};
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line) => {
+    const match = line.match(heading);
+    // A bare word without a colon only counts as a heading when it stands alone
+    if (match && (match[2] || !match[3].trim())) {
+      current = match[1].toLowerCase();
+      buckets[current] = buckets[current] || [];
+      if (match[3].trim()) buckets[current].push(match[3]);
+      return;
+    }
+    if (current) buckets[current].push(line);
   });
 
-  const data = await response.json();
+  const lines = (key) => (buckets[key] || []).map(cleanLine).filter(Boolean);
+
+  const feedback = {
+    summary: lines("summary").join(" "),
+    suggestions: lines("suggestions"),
+    questions: lines("questions"),
+    insight: lines("reflection").join(" "),
+  };
+
+  if (!feedback.summary || !feedback.insight) return null;
+  if (!feedback.suggestions.length || !feedback.questions.length) return null;
+
+  return feedback;
+}
+
+/**
+ * Generate structured feedback for a reflection.
+ * `options` ({ provider, model }) selects the preferred AI provider, usually from the organisation;
+ * `options.transcript` is the text of the attached audio, when there is one.
+ */
+async function generateFeedback(text, { transcript, ...options } = {}) {
+  const content = reflectionText(text, transcript);
+  const first = await complete(buildPrompt(content), options);
+  const feedback = parseFeedback(first.text);
+  if (feedback) return feedback;
 
-  if (!response.ok) {
-    console.log("OpenRouter error:", data);
-    throw new Error(data.error?.message || "OpenRouter request failed");
-  }
+  console.log(`AI feedback from ${first.provider} malformed, retrying with strict prompt`);
+  const retry = parseFeedback((await complete(buildStrictPrompt(content), options)).text);
+  if (!retry) throw new Error("AI feedback could not be parsed");
 
-  return data.choices[0].message.content;
+  return retry;
 }
 
-module.exports = { generateFeedback };
\ No newline at end of file
+module.exports = { generateFeedback, parseFeedback };
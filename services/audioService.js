@@ -0,0 +1,58 @@
+const cloudinary = require("../config/cloudinary");
+const AudioUpload = require("../models/AudioUpload");
+
+// ─── Uploaded audio files ───────────────────────────────────────────────
+// Facts about audio stored in our Cloudinary account, taken from the upload or
+// looked up on the server, so nothing the client says about a file is trusted.
+
+// https://res.cloudinary.com/<cloud>/video/upload/v123/reflect-ai/audio/abc.mp3
+const CLOUDINARY_AUDIO = /^https:\/\/res\.cloudinary\.com\/([^/]+)\/video\/upload\/(?:v\d+\/)?(.+)\.[a-z0-9]+$/i;
+
+/** Cloudinary public_id of an audio URL in our account, or null for anything else. */
+function cloudinaryPublicId(audioUrl) {
+  const match = CLOUDINARY_AUDIO.exec(audioUrl || "");
+  if (!match || match[1] !== cloudinary.config().cloud_name) return null;
+  return decodeURIComponent(match[2]);
+}
+
+/** Remember the size of a file multer-storage-cloudinary just uploaded for `user`. */
+function recordUpload(user, file) {
+  return AudioUpload.updateOne(
+    { publicId: file.filename },
+    { $setOnInsert: { user: user._id, bytes: file.size } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Size of a file `user` uploaded, as recorded at upload time, or null when
+ * there is no record (someone else's file, an external URL, an old upload).
+ */
+async function uploadedBytes(user, audioUrl) {
+  const publicId = cloudinaryPublicId(audioUrl);
+  if (!publicId) return null;
+  const upload = await AudioUpload.findOne({ publicId, user: user._id }).select("bytes");
+  return upload ? upload.bytes : null;
+}
+
+/**
+ * Size in bytes of an uploaded audio file, asked of the Cloudinary Admin API
+ * (rate-limited — only the startup backfill uses it). Resolves to null for
+ * URLs that aren't ours; rejects with an Error carrying the Cloudinary
+ * `status` (404 once the file is gone) when the lookup fails.
+ */
+async function audioFileBytes(audioUrl) {
+  const publicId = cloudinaryPublicId(audioUrl);
+  if (!publicId) return null;
+
+  try {
+    const resource = await cloudinary.api.resource(publicId, { resource_type: "video" });
+    return Number.isInteger(resource.bytes) ? resource.bytes : null;
+  } catch (err) {
+    // The SDK rejects with plain objects, sometimes wrapped in { error }
+    const info = err?.error || err || {};
+    throw Object.assign(new Error(info.message || "Cloudinary lookup failed"), { status: info.http_code });
+  }
+}
+
+module.exports = { cloudinaryPublicId, recordUpload, uploadedBytes, audioFileBytes };
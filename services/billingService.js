@@ -0,0 +1,137 @@
+const Organization = require("../models/Organization");
+const { CATALOG } = require("../config/planCatalog");
+
+// ─── Billing ────────────────────────────────────────────────────────────
+// A user's plan comes from their organisation when the org has an
+// enterprise subscription and has given them a seat. A personal Pro
+// subscription (bought before org billing existed) still counts otherwise.
+//
+// Subscription statuses (users and orgs alike):
+//   active, trialing  → entitled
+//   past_due          → entitled for PAYMENT_GRACE_DAYS after the first failed payment
+//   unpaid, incomplete, paused … → not entitled, plan kept so paying restores it
+//   canceled, incomplete_expired → subscription over, plan drops to free
+
+const ENTITLED_STATUSES = ["active", "trialing"];
+const ENDED_STATUSES = ["canceled", "incomplete_expired"];
+const PERSONAL_PLANS = Object.keys(CATALOG).filter((p) => CATALOG[p].billing === "personal");
+const GRACE_MS = (Number(process.env.PAYMENT_GRACE_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+/** When a past_due subscription stops counting (null when not past due). */
+const graceEndsAt = (billable) =>
+  billable.subscriptionStatus === "past_due" && billable.pastDueSince
+    ? new Date(billable.pastDueSince.getTime() + GRACE_MS)
+    : null;
+
+/** Whether a user/org subscription currently grants its plan. */
+function isEntitled(billable) {
+  if (ENTITLED_STATUSES.includes(billable.subscriptionStatus)) return true;
+  if (billable.subscriptionStatus !== "past_due") return false;
+  const ends = graceEndsAt(billable);
+  return !ends || ends > new Date();
+}
+
+/**
+ * Record a new subscription status, starting the grace period on the first
+ * past_due and clearing it once the subscription is healthy again.
+ */
+function applySubscriptionStatus(billable, status) {
+  billable.subscriptionStatus = status;
+  if (status === "past_due") {
+    if (!billable.pastDueSince) billable.pastDueSince = new Date();
+  } else if (ENTITLED_STATUSES.includes(status) || ENDED_STATUSES.includes(status)) {
+    billable.pastDueSince = null;
+  }
+}
+
+const holdsSeat = (org, userId) =>
+  org.seatHolders.some((id) => id.toString() === userId.toString());
+
+const orgIsEntitled = (org) => org.plan !== "free" && isEntitled(org);
+
+/**
+ * The plan the user actually gets.
+ * Resolves to { plan, source } where source is "organization", "personal" or null.
+ */
+async function getEffectivePlan(user) {
+  if (user.organization) {
+    const org = await Organization.findById(user.organization).select("plan subscriptionStatus pastDueSince seatHolders");
+    if (org && orgIsEntitled(org) && holdsSeat(org, user._id)) {
+      return { plan: org.plan, source: "organization" };
+    }
+  }
+  if (user.plan && user.plan !== "free" && isEntitled(user)) {
+    return { plan: user.plan, source: "personal" };
+  }
+  return { plan: "free", source: null };
+}
+
+/**
+ * Give a member one of the org's seats. Atomic, so two admins can't hand
+ * out more seats than were bought. Resolves false when none are free.
+ */
+async function assignSeat(orgId, userId) {
+  const result = await Organization.updateOne(
+    {
+      _id: orgId,
+      seatHolders: { $ne: userId },
+      $expr: { $lt: [{ $size: "$seatHolders" }, "$seats"] },
+    },
+    { $push: { seatHolders: userId } }
+  );
+  if (result.modifiedCount) return true;
+  // Already holding one counts as success
+  return !!(await Organization.exists({ _id: orgId, seatHolders: userId }));
+}
+
+const releaseSeat = (orgId, userId) =>
+  Organization.updateOne({ _id: orgId }, { $pull: { seatHolders: userId } });
+
+/**
+ * Mirror a Stripe subscription onto the organisation: status, plan and
+ * seat count (the subscription quantity). When the quantity drops below the
+ * number of assigned seats, the most recently assigned ones are released.
+ * `subscription` is a Stripe subscription object.
+ */
+async function syncOrgSubscription(org, subscription) {
+  const quantity = subscription.items?.data?.[0]?.quantity ?? org.seats;
+  const ended = ENDED_STATUSES.includes(subscription.status);
+
+  org.stripeSubscriptionId = subscription.id;
+  applySubscriptionStatus(org, subscription.status);
+  if (subscription.trial_start && !org.trialUsedAt) org.trialUsedAt = new Date(subscription.trial_start * 1000);
+  org.plan = ended ? "free" : "enterprise";
+  // An ended subscription keeps its seat list so re-subscribing restores it
+  if (!ended) {
+    org.seats = quantity;
+    if (org.seatHolders.length > org.seats) {
+      org.seatHolders = org.seatHolders.slice(0, org.seats);
+    }
+  }
+  await org.save();
+  return org;
+}
+
+/** Mirror a personal (Pro) Stripe subscription onto the user. */
+async function syncUserSubscription(user, subscription) {
+  user.stripeSubscriptionId = subscription.id;
+  applySubscriptionStatus(user, subscription.status);
+  if (subscription.trial_start && !user.trialUsedAt) user.trialUsedAt = new Date(subscription.trial_start * 1000);
+  // Subscriptions from before the plan catalog carry no plan in their metadata
+  const plan = PERSONAL_PLANS.includes(subscription.metadata?.plan) ? subscription.metadata.plan : "pro";
+  user.plan = ENDED_STATUSES.includes(subscription.status) ? "free" : plan;
+  await user.save();
+  return user;
+}
+
+module.exports = {
+  ENTITLED_STATUSES,
+  isEntitled,
+  graceEndsAt,
+  applySubscriptionStatus,
+  getEffectivePlan,
+  assignSeat,
+  releaseSeat,
+  syncOrgSubscription,
+  syncUserSubscription,
+};
@@ -0,0 +1,150 @@
+const stripe = require("../config/stripe");
+const { resolvePlanChoice } = require("../config/planCatalog");
+
+// ─── Checkout & plan changes ────────────────────────────────────────────
+// Turns a catalog choice (config/planCatalog.js) into Stripe prices,
+// Checkout sessions and prorated subscription changes.
+
+const priceCache = new Map();
+
+/**
+ * Stripe price id for a resolved plan choice. Uses the env-pinned price when
+ * set, otherwise finds (or creates) the price by lookup key. The amount is part
+ * of the key, so changing a price in the catalog creates a new Stripe price
+ * and existing subscribers stay on theirs.
+ */
+async function resolvePriceId({ plan, interval, currency, amount, entry }) {
+  const pinned = process.env[`STRIPE_PRICE_${plan}_${interval}_${currency}`.toUpperCase()];
+  if (pinned) return pinned;
+
+  const lookupKey = `workreflect_${plan}_${interval}_${currency}_${amount}`;
+  if (priceCache.has(lookupKey)) return priceCache.get(lookupKey);
+
+  const existing = await stripe.prices.list({ lookup_keys: [lookupKey], active: true, limit: 1 });
+  const price = existing.data[0] || await stripe.prices.create({
+    lookup_key: lookupKey,
+    currency,
+    unit_amount: amount,
+    recurring: { interval },
+    product_data: { name: entry.name },
+    metadata: { plan, interval },
+  });
+  priceCache.set(lookupKey, price.id);
+  return price.id;
+}
+
+/** Promotion code id for a customer-facing code, or null when it isn't usable. */
+async function findPromotionCode(code) {
+  const result = await stripe.promotionCodes.list({ code: String(code).trim(), active: true, limit: 1 });
+  return result.data[0]?.id || null;
+}
+
+// A Checkout session that offers the free trial holds it this long (and
+// expires with the hold), so two checkouts started before the subscription
+// webhook arrives can't both get it. Stripe allows 30 minutes to 24 hours.
+const TRIAL_HOLD_MS = 60 * 60 * 1000;
+
+/**
+ * Reserve the free trial of `account` (a User or Organization) for one
+ * checkout. Resolves to when the hold ends, or null when the trial was used
+ * or another checkout holds it.
+ */
+async function holdTrial(account) {
+  if (account.trialUsedAt) return null;
+  const now = new Date();
+  const until = new Date(now.getTime() + TRIAL_HOLD_MS);
+  const held = await account.constructor.updateOne(
+    { _id: account._id, trialUsedAt: null, $or: [{ trialHeldUntil: null }, { trialHeldUntil: { $lte: now } }] },
+    { $set: { trialHeldUntil: until } }
+  );
+  return held.modifiedCount ? until : null;
+}
+
+const releaseTrial = (account) =>
+  account.constructor.updateOne({ _id: account._id }, { $set: { trialHeldUntil: null } });
+
+/**
+ * Create a subscription Checkout session.
+ * `trialFor`: the User or Organization paying — the session offers the plan's
+ * free trial when that account hasn't had it and no other checkout holds it.
+ * `promotionCode`: a code to pre-apply; otherwise the customer can enter one on the page.
+ * Resolves to the session, or throws with status 400 for an unknown promotion code.
+ */
+async function createSubscriptionCheckout({ customer, choice, quantity = 1, trialFor, promotionCode, metadata, returnPath = "/" }) {
+  const base = process.env.FRONTEND_URL || "http://localhost:3000";
+  const subscriptionMetadata = { ...metadata, plan: choice.plan, interval: choice.interval };
+
+  let discounts;
+  if (promotionCode) {
+    const id = await findPromotionCode(promotionCode);
+    if (!id) throw Object.assign(new Error("That promotion code isn't valid"), { status: 400 });
+    discounts = [{ promotion_code: id }];
+  }
+
+  const trialUntil = trialFor && choice.entry.trialDays ? await holdTrial(trialFor) : null;
+  try {
+    return await stripe.checkout.sessions.create({
+      customer,
+      payment_method_types: ["card"],
+      mode: "subscription",
+      line_items: [{ price: await resolvePriceId(choice), quantity }],
+      // Stripe accepts either a pre-applied discount or the code box, not both
+      ...(discounts ? { discounts } : { allow_promotion_codes: true }),
+      subscription_data: {
+        metadata: subscriptionMetadata,
+        ...(trialUntil ? { trial_period_days: choice.entry.trialDays } : {}),
+      },
+      ...(trialUntil ? { expires_at: Math.floor(trialUntil.getTime() / 1000) } : {}),
+      success_url: `${base}${returnPath}?upgraded=true&session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${base}${returnPath}?canceled=true`,
+      metadata: subscriptionMetadata,
+    });
+  } catch (err) {
+    if (trialUntil) await releaseTrial(trialFor).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Move an existing subscription to another plan/interval of the same
+ * `billing` kind. The currency stays the subscription's own (Stripe can't
+ * switch it). Stripe prorates the change: moving to a pricier plan or a
+ * longer interval is invoiced straight away, a downgrade becomes credit on
+ * the next invoice. Throws with status 400 for a choice not in the catalog.
+ */
+async function changeSubscriptionPlan(subscriptionId, { plan, interval }, billing) {
+  const current = await stripe.subscriptions.retrieve(subscriptionId);
+  const item = current.items.data[0];
+  const currentPrice = item.price;
+
+  const choice = resolvePlanChoice({ plan, interval, currency: currentPrice.currency }, billing);
+  if (choice.error) throw Object.assign(new Error(choice.error), { status: 400 });
+  if (currentPrice.id === (await resolvePriceId(choice))) {
+    throw Object.assign(new Error("The subscription is already on that plan"), { status: 400 });
+  }
+
+  // Compare per-day cost so month ↔ year switches are judged fairly
+  const perDay = (amount, interval) => amount / (interval === "year" ? 365 : 30);
+  const upgrade =
+    perDay(choice.amount, choice.interval) > perDay(currentPrice.unit_amount, currentPrice.recurring?.interval) ||
+    (choice.interval === "year" && currentPrice.recurring?.interval === "month");
+
+  return stripe.subscriptions.update(subscriptionId, {
+    items: [{ id: item.id, price: await resolvePriceId(choice), quantity: item.quantity }],
+    proration_behavior: upgrade ? "always_invoice" : "create_prorations",
+    metadata: { ...current.metadata, plan: choice.plan, interval: choice.interval },
+  });
+}
+
+/** Stripe customer portal session (payment methods, invoices, cancellation). */
+function createPortalSession(customer, returnPath = "/") {
+  const base = process.env.FRONTEND_URL || "http://localhost:3000";
+  return stripe.billingPortal.sessions.create({ customer, return_url: `${base}${returnPath}` });
+}
+
+module.exports = {
+  resolvePriceId,
+  createSubscriptionCheckout,
+  changeSubscriptionPlan,
+  createPortalSession,
+};
@@ -0,0 +1,112 @@
+const Usage = require("../models/Usage");
+const { PLANS, METRICS, hasFeature, quotaFor } = require("../config/entitlements");
+const { getEffectivePlan } = require("./billingService");
+
+// ─── Entitlements & usage ───────────────────────────────────────────────
+// Combines the user's effective plan (billingService) with the plan map in
+// config/entitlements.js and the Usage counters.
+
+const currentPeriod = (metric, now = new Date()) =>
+  METRICS[metric]?.period === "total" ? "total" : now.toISOString().slice(0, 7);
+
+// First instant of next month (UTC) for monthly metrics
+const periodResetsAt = (metric, now = new Date()) =>
+  METRICS[metric]?.period === "total"
+    ? null
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+async function getUsed(user, metric) {
+  const usage = await Usage.findOne({ user: user._id, metric, period: currentPeriod(metric) }).select("used");
+  return usage ? usage.used : 0;
+}
+
+/** Quota state of one metric: { limit, used, remaining, resetsAt } (limit/remaining null = unlimited). */
+async function getQuota(user, metric, plan) {
+  if (!plan) plan = (await getEffectivePlan(user)).plan;
+  const limit = quotaFor(plan, metric);
+  const used = await getUsed(user, metric);
+  return {
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    resetsAt: periodResetsAt(metric),
+  };
+}
+
+/** Everything the user's plan allows and how much of each quota is left. */
+async function getEntitlements(user) {
+  const { plan, source } = await getEffectivePlan(user);
+  const quotas = {};
+  for (const metric of Object.keys(METRICS)) {
+    quotas[metric] = { ...(await getQuota(user, metric, plan)), unit: METRICS[metric].unit };
+  }
+  return { plan, source, features: { ...PLANS[plan]?.features }, quotas };
+}
+
+/** Add usage unconditionally (for things measured after the fact, e.g. room minutes). */
+function recordUsage(user, metric, amount) {
+  return Usage.updateOne(
+    { user: user._id, metric, period: currentPeriod(metric) },
+    { $inc: { used: amount } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Take `amount` from the quota if it fits. Atomic, so parallel requests can't
+ * overshoot the limit. Resolves to { ok, limit, used, remaining, resetsAt }.
+ */
+async function consumeQuota(user, metric, amount = 1) {
+  const { plan } = await getEffectivePlan(user);
+  const limit = quotaFor(plan, metric);
+  const key = { user: user._id, metric, period: currentPeriod(metric) };
+
+  if (limit === null) {
+    await recordUsage(user, metric, amount);
+    return { ok: true, ...(await getQuota(user, metric, plan)) };
+  }
+  if (amount > limit) return { ok: false, ...(await getQuota(user, metric, plan)) };
+
+  const updated = await Usage.updateOne(
+    { ...key, used: { $lte: limit - amount } },
+    { $inc: { used: amount } }
+  );
+  if (!updated.modifiedCount) {
+    try {
+      // No counter yet for this period — the first use creates it
+      if (await Usage.exists(key)) return { ok: false, ...(await getQuota(user, metric, plan)) };
+      await Usage.create({ ...key, used: amount });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return consumeQuota(user, metric, amount); // lost the race to create it — go again
+    }
+  }
+  return { ok: true, ...(await getQuota(user, metric, plan)) };
+}
+
+/** Give back usage that was consumed for something that didn't happen. */
+const refundQuota = (user, metric, amount = 1) =>
+  Usage.updateOne(
+    { user: user._id, metric, period: currentPeriod(metric), used: { $gte: amount } },
+    { $inc: { used: -amount } }
+  );
+
+/** 403 body for an exhausted quota. */
+const quotaExceeded = (metric, quota) => ({
+  error: "quota_exceeded",
+  metric,
+  limit: quota.limit,
+  used: quota.used,
+  resetsAt: quota.resetsAt,
+  message: "You've reached your plan's limit. Upgrade for more.",
+});
+
+module.exports = {
+  hasFeature,
+  quotaExceeded,
+  getEntitlements,
+  getQuota,
+  consumeQuota,
+  recordUsage,
+  refundQuota,
+};
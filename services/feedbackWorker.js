@@ -0,0 +1,139 @@
+const { EventEmitter } = require("events");
+const Post = require("../models/Post");
+const Organization = require("../models/Organization");
+const { generateFeedback } = require("./aiService");
+const { refundQuota } = require("./entitlementService");
+
+// ─── Background AI feedback worker ──────────────────────────────────────
+// Posts are saved with aiFeedback.status = "pending"; this worker picks them up,
+// calls the AI and stores the result. State lives on the Post itself, so pending
+// work survives restarts and several instances can share the queue. The
+// events below only reach streams on the same instance; the SSE route also
+// polls the Post so streams on other instances still settle.
+// Posts whose audio is still being transcribed are left until the transcript settles.
+
+const POLL_INTERVAL_MS = parseInt(process.env.AI_WORKER_INTERVAL_MS, 10) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.AI_WORKER_MAX_ATTEMPTS, 10) || 5;
+const BASE_BACKOFF_MS = 10 * 1000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+const LEASE_MS = 2 * 60 * 1000; // how long a claimed job is hidden from other workers
+
+// Emits "feedback:<postId>" with { status, aiFeedback } whenever a job settles
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let timer = null;
+let running = false;
+
+const backoff = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+// Atomically claim the next due job by pushing its nextAttemptAt past the lease
+function claimNext() {
+  const now = new Date();
+  return Post.findOneAndUpdate(
+    {
+      "aiFeedback.status": "pending",
+      "aiFeedback.nextAttemptAt": { $lte: now },
+      "transcript.status": { $ne: "pending" },
+    },
+    {
+      $set: { "aiFeedback.nextAttemptAt": new Date(now.getTime() + LEASE_MS) },
+      $inc: { "aiFeedback.attempts": 1 },
+    },
+    { new: true, sort: { "aiFeedback.nextAttemptAt": 1 } }
+  );
+}
+
+async function processPost(post) {
+  const attempts = post.aiFeedback.attempts;
+  const org = await Organization.findById(post.organization).select("aiProvider aiModel");
+
+  try {
+    const feedback = await generateFeedback(post.content, {
+      provider: org?.aiProvider,
+      model: org?.aiModel,
+      transcript: post.transcript?.status === "ready" ? post.transcript.text : null,
+    });
+
+    post.aiFeedback = {
+      ...feedback,
+      status: "ready",
+      attempts,
+      error: null,
+      nextAttemptAt: null,
+      generatedAt: new Date(),
+    };
+  } catch (err) {
+    console.log(`AI feedback for post ${post._id} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, err.message);
+
+    post.aiFeedback.error = err.message;
+    if (err.permanent || attempts >= MAX_ATTEMPTS) {
+      post.aiFeedback.status = "failed";
+      post.aiFeedback.nextAttemptAt = null;
+    } else {
+      post.aiFeedback.nextAttemptAt = new Date(Date.now() + backoff(attempts));
+    }
+  }
+
+  // Write only the feedback, and only if nobody re-queued it meanwhile, so an
+  // edit saved while the AI call was running isn't overwritten
+  const aiFeedback = post.toObject().aiFeedback;
+  const saved = await Post.updateOne(
+    { _id: post._id, "aiFeedback.status": "pending", "aiFeedback.attempts": attempts },
+    { $set: { aiFeedback } }
+  );
+
+  if (!saved.modifiedCount || aiFeedback.status === "pending") return;
+
+  // The author was charged when the post was queued (create, edit or regenerate),
+  // so feedback that never arrives doesn't count against their quota
+  if (aiFeedback.status === "failed") {
+    await refundQuota({ _id: post.createdBy }, "aiFeedback");
+  }
+  events.emit(`feedback:${post._id}`, { status: aiFeedback.status, aiFeedback });
+}
+
+// Drain every job that is currently due, one at a time
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    let post;
+    while ((post = await claimNext())) {
+      await processPost(post);
+    }
+  } catch (err) {
+    console.error("Feedback worker error:", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/** Reset a post's feedback to pending (new post or regenerate) without saving it. */
+function markPending(post) {
+  post.aiFeedback = {
+    status: "pending",
+    attempts: 0,
+    error: null,
+    nextAttemptAt: new Date(),
+  };
+}
+
+/** Nudge the worker so a freshly queued post doesn't wait for the next poll. */
+function enqueue() {
+  setImmediate(tick);
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+  console.log("🤖 AI feedback worker started");
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { start, stop, enqueue, markPending, events };
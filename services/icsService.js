@@ -0,0 +1,94 @@
+// ─── iCalendar (RFC 5545) ───────────────────────────────────────────────
+// Builds .ics files for scheduled rooms: one VEVENT per room, or one per
+// weekly series (with an RRULE) so calendars show the whole series.
+
+const PRODID = "-//WorkReflect//Live Rooms//EN";
+
+const escapeText = (s) =>
+  String(s || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Parameter values (e.g. CN=) aren't TEXT: they can't hold DQUOTE or control
+// characters at all, and must be double-quoted when they contain , ; or :
+const paramValue = (s) => {
+  const value = String(s || "").replace(/[\x00-\x1f\x7f"]/g, "");
+  return /[,;:]/.test(value) ? `"${value}"` : value;
+};
+
+// 20261019T093000Z
+const formatDate = (d) => new Date(d).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function fold(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75; // continuation lines lose one octet to the space
+    if (Buffer.byteLength(current + ch, "utf8") > limit) {
+      parts.push(current);
+      current = ch;
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+const PARTSTAT = { yes: "ACCEPTED", no: "DECLINED", maybe: "TENTATIVE", pending: "NEEDS-ACTION" };
+
+/**
+ * VEVENT lines for a room. Expects host and invitees.user populated (name, email).
+ * Recurring rooms are emitted as their series (UID = series id, DTSTART = series
+ * start); `exdates` lists start times of cancelled occurrences to skip.
+ */
+function roomEvent(room, { url, exdates = [] } = {}) {
+  const recurring = !!room.series?.id;
+  const start = recurring ? room.series.startsAt : room.scheduledFor || room.startedAt;
+  const end = new Date(new Date(start).getTime() + (room.durationMinutes || 60) * 60 * 1000);
+  const uid = `${recurring ? room.series.id : room._id}@workreflect`;
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${formatDate(room.updatedAt || new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(room.title)}`,
+  ];
+  if (recurring) {
+    lines.push(`RRULE:FREQ=WEEKLY${room.series.until ? `;UNTIL=${formatDate(room.series.until)}` : ""}`);
+    exdates.forEach((d) => lines.push(`EXDATE:${formatDate(d)}`));
+  }
+  if (room.description) lines.push(`DESCRIPTION:${escapeText(room.description)}`);
+  if (url) lines.push(`URL:${url}`, `LOCATION:${escapeText(url)}`);
+  if (room.host?.email) lines.push(`ORGANIZER;CN=${paramValue(room.host.name)}:mailto:${room.host.email}`);
+  (room.invitees || []).forEach((inv) => {
+    if (!inv.user?.email) return;
+    lines.push(`ATTENDEE;CN=${paramValue(inv.user.name)};PARTSTAT=${PARTSTAT[inv.rsvp] || "NEEDS-ACTION"}:mailto:${inv.user.email}`);
+  });
+  lines.push(`STATUS:${room.status === "cancelled" ? "CANCELLED" : "CONFIRMED"}`, "END:VEVENT");
+  return lines;
+}
+
+/** A complete VCALENDAR document from event line arrays. */
+function buildCalendar(events, { name } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+module.exports = { roomEvent, buildCalendar, formatDate, fold, escapeText, paramValue };
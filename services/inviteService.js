@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+const Invite = require("../models/Invite");
+const Organization = require("../models/Organization");
+const Team = require("../models/Team");
+
+// ─── Invite codes ───────────────────────────────────────────────────────
+
+const INVITE_ERRORS = {
+  invalid: "Invalid invite code. Please check with your admin.",
+  revoked: "This invite has been revoked. Ask your admin for a new one.",
+  expired: "This invite has expired. Ask your admin for a new one.",
+  used_up: "This invite has already been used the maximum number of times.",
+  email: "This invite was issued for a different email address.",
+};
+
+const normalizeCode = (code) => String(code || "").trim().toUpperCase();
+
+// 12 hex chars — much harder to enumerate than the legacy 8
+const generateInviteCode = () => crypto.randomBytes(6).toString("hex").toUpperCase();
+
+/**
+ * Resolve an invite code to { organization, invite } or { error }.
+ * `invite` is null for an organisation's legacy inviteCode (unlimited, member role).
+ * Pass `email` to enforce email-bound invites.
+ */
+async function resolveInvite(code, { email } = {}) {
+  const normalized = normalizeCode(code);
+  if (!normalized) return { error: INVITE_ERRORS.invalid };
+
+  const invite = await Invite.findOne({ code: normalized });
+  if (invite) {
+    if (invite.status !== "active") return { error: INVITE_ERRORS[invite.status] };
+    if (email && invite.email && invite.email !== String(email).trim().toLowerCase()) {
+      return { error: INVITE_ERRORS.email };
+    }
+    const organization = await Organization.findById(invite.organization);
+    if (!organization) return { error: INVITE_ERRORS.invalid };
+    return { organization, invite };
+  }
+
+  const organization = await Organization.findOne({ inviteCode: normalized });
+  if (!organization) return { error: INVITE_ERRORS.invalid };
+  return { organization, invite: null };
+}
+
+/**
+ * Atomically take one use of the invite. Resolves false when a concurrent
+ * registration used the last slot (or it expired/was revoked in between).
+ */
+async function claimInviteUse(invite) {
+  const now = new Date();
+  const claimed = await Invite.findOneAndUpdate(
+    {
+      _id: invite._id,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }] },
+      ],
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+  return !!claimed;
+}
+
+/** Give a claimed use back (registration failed after claiming). */
+const releaseInviteUse = (invite) => Invite.updateOne({ _id: invite._id }, { $inc: { uses: -1 } });
+
+/** Record who used the invite and apply its team assignment. */
+async function recordRedemption(invite, user) {
+  await Invite.updateOne(
+    { _id: invite._id },
+    { $push: { redemptions: { user: user._id, usedAt: new Date() } } }
+  );
+  if (invite.team) {
+    await Team.updateOne(
+      { _id: invite.team, organization: invite.organization },
+      { $addToSet: { members: user._id } }
+    );
+  }
+}
+
+module.exports = {
+  generateInviteCode,
+  normalizeCode,
+  resolveInvite,
+  claimInviteUse,
+  releaseInviteUse,
+  recordRedemption,
+};
@@ -0,0 +1,42 @@
+const { getStore } = require("./rateLimiter");
+const { LOGIN_LOCKOUT } = require("../config/rateLimits");
+
+// ─── Progressive login lockout ──────────────────────────────────────────
+// Tracked per account (normalised email) so spreading guesses over many IPs
+// doesn't help; the per-IP rate limit covers one IP guessing many accounts.
+// Unknown emails are tracked too, so a lock says nothing about whether an
+// account exists.
+
+const accountKey = (email) => String(email || "").trim().toLowerCase();
+const failKey = (email) => `login:fail:${accountKey(email)}`;
+const lockKey = (email) => `login:lock:${accountKey(email)}`;
+
+/** Resolves to the ms left on the account's lock, or 0 when it isn't locked. */
+async function getLockout(email) {
+  const lock = await getStore().get(lockKey(email));
+  return lock ? Math.max(0, lock.resetAt - Date.now()) : 0;
+}
+
+/** Count a failed login; resolves to the lock duration it triggered (0 if none). */
+async function recordLoginFailure(email) {
+  const store = getStore();
+  const { count } = await store.increment(failKey(email), LOGIN_LOCKOUT.windowMs);
+  if (count < LOGIN_LOCKOUT.threshold) return 0;
+
+  const lockMs = Math.min(
+    LOGIN_LOCKOUT.baseMs * 2 ** (count - LOGIN_LOCKOUT.threshold),
+    LOGIN_LOCKOUT.maxMs
+  );
+  await store.reset(lockKey(email));
+  await store.increment(lockKey(email), lockMs);
+  return lockMs;
+}
+
+/** A good login wipes the failure history. */
+async function clearLoginFailures(email) {
+  const store = getStore();
+  await store.reset(failKey(email));
+  await store.reset(lockKey(email));
+}
+
+module.exports = { getLockout, recordLoginFailure, clearLoginFailures, accountKey };
@@ -0,0 +1,67 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+
+// ─── Mailer ─────────────────────────────────────────────────────────────
+// One sendMail() for the whole app; the transport is picked by MAIL_TRANSPORT:
+//   smtp    — real delivery via SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    — writes each message as JSON into MAIL_OUTBOX_DIR (default ./mail-outbox)
+//   console — prints the message (default outside production)
+
+let smtpTransport;
+
+const transports = {
+  smtp: {
+    async send(message) {
+      if (!smtpTransport) {
+        const nodemailer = require("nodemailer");
+        smtpTransport = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT, 10) || 587,
+          secure: process.env.SMTP_SECURE === "true",
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined,
+        });
+      }
+      await smtpTransport.sendMail(message);
+    },
+  },
+
+  file: {
+    async send(message) {
+      const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "mail-outbox");
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, "_")}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+      console.log(`📧 Mail to ${message.to} written to ${file}`);
+    },
+  },
+
+  console: {
+    async send(message) {
+      console.log(`📧 Mail to ${message.to} — ${message.subject}\n${message.text}`);
+    },
+  },
+};
+
+function currentTransport() {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "smtp" : "console");
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  return transport;
+}
+
+/** Send an email: { to, subject, text, html? }. Throws if the transport fails. */
+async function sendMail({ to, subject, text, html }) {
+  const message = {
+    from: process.env.MAIL_FROM || "WorkReflect <no-reply@workreflect.app>",
+    to,
+    subject,
+    text,
+    ...(html ? { html } : {}),
+  };
+  await currentTransport().send(message);
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,37 @@
+const User = require("../models/User");
+
+/**
+ * Resolve "@name" mentions in a piece of text to members of the organisation.
+ * Names may contain spaces ("@Jane Doe"), so each "@" is matched against the
+ * longest member name it starts with (case-insensitive).
+ * Returns the distinct matching User ids.
+ */
+async function resolveMentions(text, organizationId) {
+  if (!text || !text.includes("@")) return [];
+
+  const members = await User.find({ organization: organizationId }).select("name");
+  const candidates = members
+    .filter((m) => m.name)
+    .map((m) => ({ id: m._id, name: m.name.trim().toLowerCase() }))
+    .sort((a, b) => b.name.length - a.name.length);
+
+  const found = new Map();
+  const lower = text.toLowerCase();
+  let at = lower.indexOf("@");
+
+  while (at !== -1) {
+    // "@" must start a word (not part of an email address)
+    if (at === 0 || /\s|[(\[{"']/.test(lower[at - 1])) {
+      const rest = lower.slice(at + 1);
+      const match = candidates.find(
+        (c) => rest.startsWith(c.name) && !/[\p{L}\p{N}_]/u.test(rest[c.name.length] || "")
+      );
+      if (match) found.set(match.id.toString(), match.id);
+    }
+    at = lower.indexOf("@", at + 1);
+  }
+
+  return [...found.values()];
+}
+
+module.exports = { resolveMentions };
@@ -0,0 +1,114 @@
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Organization = require("../models/Organization");
+const cloudinary = require("../config/cloudinary");
+const { escapeRegex } = require("./searchService");
+const { audioFileBytes } = require("./audioService");
+
+// ─── Startup migrations ─────────────────────────────────────────────────
+// Data fixes that have to happen once when a release reaches an existing
+// database. Every step is idempotent and runs on each boot after Mongo
+// connects, so there is nothing to remember to run by hand. Keep steps cheap
+// when there's nothing left to do.
+
+const AUDIO_BACKFILL_BATCH = 200;
+
+const steps = [
+  {
+    // Email verification arrived after the first accounts were made. Those
+    // accounts have no emailVerified field at all (new ones store false), so
+    // they are grandfathered in rather than locked out of admin actions.
+    name: "grandfather-email-verification",
+    async run() {
+      const result = await User.updateMany(
+        { emailVerified: { $exists: false } },
+        { $set: { emailVerified: true } }
+      );
+      return result.modifiedCount ? `${result.modifiedCount} existing accounts marked verified` : null;
+    },
+  },
+  {
+    // "mock" used to be a provider an organisation could pick, which served
+    // canned feedback in production. Those orgs go back to the server default.
+    name: "reset-mock-ai-provider",
+    async run() {
+      const result = await Organization.updateMany({ aiProvider: "mock" }, { $set: { aiProvider: null, aiModel: null } });
+      return result.modifiedCount ? `${result.modifiedCount} organisations reset to the default AI provider` : null;
+    },
+  },
+  {
+    // Transcripts joined the text index. MongoDB allows one text index per
+    // collection, so the new one can't be built while the old one exists.
+    name: "rebuild-post-text-index",
+    async run() {
+      const exists = await Post.collection.indexExists("post_text").catch((err) => {
+        if (err.codeName === "NamespaceNotFound") return false; // fresh database
+        throw err;
+      });
+      if (!exists) return null;
+      await Post.collection.dropIndex("post_text");
+      await Post.createIndexes();
+      return "post_text replaced by post_text_v2";
+    },
+  },
+  {
+    // Podcast enclosures need each audio file's size. Posts from before it was
+    // recorded at upload are filled in from Cloudinary, a batch per boot to
+    // stay inside the Admin API's rate limit. Files that are gone, or whose URL
+    // isn't a plain upload we can look up, get 0 so they aren't tried again.
+    // Runs in the background: nothing else waits on it.
+    name: "backfill-audio-bytes",
+    background: true,
+    async run() {
+      const cloud = cloudinary.config().cloud_name;
+      if (!cloud) return null;
+
+      const posts = await Post.find({
+        audioBytes: null,
+        audioUrl: { $regex: `^${escapeRegex(`https://res.cloudinary.com/${cloud}/video/upload/`)}` },
+      })
+        .select("audioUrl")
+        .limit(AUDIO_BACKFILL_BATCH);
+
+      let done = 0;
+      for (const post of posts) {
+        let bytes;
+        try {
+          bytes = await audioFileBytes(post.audioUrl);
+        } catch (err) {
+          if (err.status !== 404) throw err; // rate limited or misconfigured — try again next boot
+          bytes = 0;
+        }
+        await Post.updateOne(
+          { _id: post._id, audioUrl: post.audioUrl, audioBytes: null },
+          { $set: { audioBytes: bytes ?? 0 } }
+        );
+        done += 1;
+      }
+      return done ? `${done} audio posts backfilled` : null;
+    },
+  },
+];
+
+async function runStep(step) {
+  try {
+    const note = await step.run();
+    if (note) console.log(`🛠  Migration ${step.name}: ${note}`);
+  } catch (err) {
+    console.error(`❌ Migration ${step.name} failed:`, err.message);
+  }
+}
+
+/**
+ * Run every step in order. A failing step is logged and doesn't stop the
+ * server. Resolves once the foreground steps are done; `background` steps
+ * (slow ones nothing depends on) are started and left to finish on their own.
+ */
+async function run() {
+  for (const step of steps) {
+    if (step.background) runStep(step);
+    else await runStep(step);
+  }
+}
+
+module.exports = { run };
@@ -0,0 +1,70 @@
+// ─── Rate limiter store ─────────────────────────────────────────────────
+// Fixed-window counters behind a small async interface, so the in-memory
+// store can be swapped for a shared one (Redis, Mongo …) when we run more
+// than one instance. A store implements:
+//
+//   increment(key, windowMs) → { count, resetAt }  start a window if none is open
+//   get(key)                 → { count, resetAt } | null
+//   reset(key)               → void
+//
+// resetAt is a ms timestamp. All methods may return promises.
+
+/** Single-instance store. Expired windows are swept once a minute. */
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const entries = new Map();
+
+  const live = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) if (entry.resetAt <= now) entries.delete(key);
+  }, sweepIntervalMs);
+  sweeper.unref();
+
+  return {
+    increment(key, windowMs) {
+      const now = Date.now();
+      let entry = live(key, now);
+      if (!entry) {
+        entry = { count: 0, resetAt: now + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count += 1;
+      return { ...entry };
+    },
+    get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    reset(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+let store = createMemoryStore();
+
+/** Replace the store (call once at startup, before any traffic). */
+const setStore = (next) => {
+  store = next;
+};
+
+const getStore = () => store;
+
+/**
+ * Count one hit against a bucket.
+ * Resolves to { allowed, limit, remaining, resetAt }.
+ */
+async function consume(key, { max, windowMs }) {
+  const { count, resetAt } = await store.increment(key, windowMs);
+  return { allowed: count <= max, limit: max, remaining: Math.max(0, max - count), resetAt };
+}
+
+module.exports = { createMemoryStore, setStore, getStore, consume };
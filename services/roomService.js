@@ -0,0 +1,315 @@
+const crypto = require("crypto");
+const Room = require("../models/Room");
+const Team = require("../models/Team");
+const { recordUsage } = require("./entitlementService");
+
+// ─── Live room lifecycle ────────────────────────────────────────────────
+// Room state lives in Mongo, so restarts don't drop rooms and every
+// instance sees the same ones. Presence is kept by heartbeats: the sweeper
+// closes sessions that went quiet and ends rooms that are empty or too old.
+// It also starts scheduled rooms on time and schedules the next occurrence
+// of weekly series.
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.ROOM_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+const STALE_SESSION_MS = 2 * 60 * 1000; // no heartbeat for this long = gone
+const EMPTY_ROOM_MS = 10 * 60 * 1000; // an empty room stays open this long for rejoins
+const MAX_ROOM_MS = (Number(process.env.ROOM_MAX_HOURS) || 4) * 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const KICK_COOLDOWN_MS = 10 * 60 * 1000; // a kicked user can rejoin after this, a banned one never
+const START_GRACE_MS = 15 * 60 * 1000; // a scheduled room found later than this (downtime) is missed, not opened
+
+/** Public room id used in URLs and by ZEGO. */
+const newRoomId = () => `room_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`;
+
+const openSession = (userId) => ({ $elemMatch: { user: userId, leftAt: null } });
+const hasId = (list, id) => (list || []).some((x) => (x._id || x).toString() === id.toString());
+
+// ─── Roles & access ─────────────────────────────────────────────────────
+
+/** "host" | "cohost" | "speaker" | "listener" */
+function roomRole(room, userId) {
+  if ((room.host._id || room.host).toString() === userId.toString()) return "host";
+  if (hasId(room.coHosts, userId)) return "cohost";
+  if (room.type === "video" || hasId(room.speakers, userId)) return "speaker";
+  return "listener";
+}
+
+/**
+ * What the user may do in the room. Muting takes away publishing from
+ * anyone except the host. Encoded into the ZEGO token (see roomRoutes).
+ */
+function roomPrivileges(room, userId) {
+  const role = roomRole(room, userId);
+  const canModerate = role === "host" || role === "cohost";
+  const canSpeak = role === "host" || (role !== "listener" && !hasId(room.muted, userId));
+  return { role, canSpeak, canModerate };
+}
+
+/** Whether `moderatorId` may mute/kick/ban/promote `targetId` (hosts outrank co-hosts). */
+function canModerateUser(room, moderatorId, targetId) {
+  const mod = roomRole(room, moderatorId);
+  const target = roomRole(room, targetId);
+  if (mod === "host") return target !== "host";
+  if (mod === "cohost") return target !== "host" && target !== "cohost";
+  return false;
+}
+
+/**
+ * Privacy rules for seeing/entering a room. Host and co-hosts always can;
+ * invite-only rooms need an invite, team-only rooms team membership (or an invite).
+ */
+async function canAccessRoom(room, user) {
+  const role = roomRole(room, user._id);
+  if (role === "host" || role === "cohost") return true;
+  if (!room.privacy || room.privacy === "org") return true;
+  if (room.invitees.some((inv) => inv.user.toString() === user._id.toString())) return true;
+  if (room.privacy === "team" && room.team) {
+    return !!(await Team.exists({ _id: room.team, members: user._id }));
+  }
+  return false;
+}
+
+/** Mongo filter for the rooms of the user's organisation they're allowed to see. */
+async function visibleRoomsFilter(user) {
+  const teamIds = await Team.find({ organization: user.organization, members: user._id }).distinct("_id");
+  return {
+    organization: user.organization,
+    $or: [
+      { privacy: { $in: ["org", null] } }, // null covers rooms created before privacy existed
+      { host: user._id },
+      { coHosts: user._id },
+      { "invitees.user": user._id },
+      { privacy: "team", team: { $in: teamIds } },
+    ],
+  };
+}
+
+/** Why the user can't join right now ("banned" | "kicked"), or null. */
+function entryBlock(room, userId) {
+  if (hasId(room.banned, userId)) return "banned";
+  const kick = (room.kicks || []).find((k) => k.user.toString() === userId.toString());
+  if (kick && kick.until > new Date()) return "kicked";
+  return null;
+}
+
+/**
+ * Remove someone from the room: closes their session and drops their raised
+ * hand. `ban` keeps them out for good, otherwise they can rejoin after a cooldown.
+ */
+async function removeFromRoom(room, userId, { ban = false } = {}) {
+  const now = new Date();
+  await Room.updateOne(
+    { _id: room._id },
+    {
+      $set: { "participants.$[open].leftAt": now, lastActivityAt: now },
+      $pull: { handRaises: { user: userId }, kicks: { user: userId }, speakers: userId, coHosts: userId },
+    },
+    { arrayFilters: [{ "open.user": userId, "open.leftAt": null }] }
+  );
+  await Room.updateOne(
+    { _id: room._id },
+    ban
+      ? { $addToSet: { banned: userId } }
+      : { $push: { kicks: { user: userId, until: new Date(now.getTime() + KICK_COOLDOWN_MS) } } }
+  );
+}
+
+/** Number of people currently in the room. */
+const liveCount = (room) => room.participants.filter((p) => !p.leftAt).length;
+
+/**
+ * Enter a live room. Rejoining while a session is still open just refreshes
+ * it, so a page reload doesn't count twice. Resolves false if the room isn't live.
+ */
+async function joinRoom(room, userId) {
+  const now = new Date();
+  const opened = await Room.updateOne(
+    { _id: room._id, status: "live", participants: { $not: openSession(userId) } },
+    {
+      $push: { participants: { user: userId, joinedAt: now, lastSeenAt: now } },
+      $set: { lastActivityAt: now },
+    }
+  );
+  if (opened.modifiedCount) return true;
+  return heartbeat(room, userId);
+}
+
+/** Keep the caller's session alive. Resolves false when they have none (or the room ended). */
+async function heartbeat(room, userId) {
+  const now = new Date();
+  const touched = await Room.updateOne(
+    { _id: room._id, status: "live", participants: openSession(userId) },
+    { $set: { "participants.$.lastSeenAt": now, lastActivityAt: now } }
+  );
+  return touched.matchedCount > 0;
+}
+
+/** Close the caller's open session. */
+async function leaveRoom(room, userId) {
+  const now = new Date();
+  const left = await Room.updateOne(
+    { _id: room._id, participants: openSession(userId) },
+    { $set: { "participants.$.leftAt": now, lastActivityAt: now } }
+  );
+  return left.modifiedCount > 0;
+}
+
+/**
+ * End a live room: closes every open session, stores end time and duration
+ * and charges the duration to the host's room minutes. Resolves false if it
+ * had already ended.
+ */
+async function endRoom(room, reason) {
+  const now = new Date();
+  const durationSeconds = Math.max(0, Math.round((now - room.startedAt) / 1000));
+  const ended = await Room.updateOne(
+    { _id: room._id, status: "live" },
+    {
+      $set: {
+        status: "ended",
+        endedAt: now,
+        endedReason: reason,
+        durationSeconds,
+        lastActivityAt: now,
+        "participants.$[open].leftAt": now,
+      },
+    },
+    { arrayFilters: [{ "open.leftAt": null }] }
+  );
+  if (!ended.modifiedCount) return false;
+
+  await recordUsage({ _id: room.host }, "roomMinutes", Math.ceil(durationSeconds / 60))
+    .catch((err) => console.error("Room minutes not recorded:", err.message));
+  return true;
+}
+
+/**
+ * Create the occurrence after `room` in its weekly series. Weeks that passed
+ * while nothing was running are skipped. Safe to race: the (series, start)
+ * unique index lets only one instance create it.
+ */
+async function scheduleNextOccurrence(room, now = Date.now()) {
+  let next = room.scheduledFor.getTime() + WEEK_MS;
+  while (next <= now) next += WEEK_MS;
+
+  if (!room.series.until || next <= room.series.until.getTime()) {
+    try {
+      await Room.create({
+        roomId: newRoomId(),
+        title: room.title,
+        description: room.description,
+        type: room.type,
+        organization: room.organization,
+        host: room.host,
+        status: "scheduled",
+        scheduledFor: new Date(next),
+        durationMinutes: room.durationMinutes,
+        series: { id: room.series.id, startsAt: room.series.startsAt, until: room.series.until },
+        // Same people invited, fresh RSVPs
+        invitees: room.invitees.map((inv) => ({ user: inv.user })),
+        privacy: room.privacy,
+        team: room.team,
+        coHosts: room.coHosts,
+        banned: room.banned,
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  await Room.updateOne({ _id: room._id }, { $set: { "series.nextCreated": true } });
+}
+
+// ─── Sweeper ────────────────────────────────────────────────────────────
+async function sweep() {
+  const now = Date.now();
+
+  // 0. Scheduled rooms whose start time has come go live — unless it passed
+  //    more than START_GRACE_MS ago (the sweeper wasn't running), then they
+  //    end as missed. Weekly series get their next occurrence once this one's
+  //    start has passed (even if cancelled or missed)
+  const seriesDue = await Room.find({
+    "series.id": { $ne: null },
+    "series.nextCreated": false,
+    scheduledFor: { $lte: new Date(now) },
+  });
+  for (const room of seriesDue) await scheduleNextOccurrence(room, now);
+
+  await Room.updateMany(
+    { status: "scheduled", scheduledFor: { $lt: new Date(now - START_GRACE_MS) } },
+    { $set: { status: "ended", endedReason: "missed", endedAt: new Date(now), durationSeconds: 0, lastActivityAt: new Date(now) } }
+  );
+  await Room.updateMany(
+    { status: "scheduled", scheduledFor: { $lte: new Date(now) } },
+    { $set: { status: "live", startedAt: new Date(now), lastActivityAt: new Date(now) } }
+  );
+
+  // 1. Sessions whose heartbeat stopped (closed tab, lost connection)
+  const staleBefore = new Date(now - STALE_SESSION_MS);
+  await Room.updateMany(
+    { status: "live", participants: { $elemMatch: { leftAt: null, lastSeenAt: { $lt: staleBefore } } } },
+    { $set: { "participants.$[stale].leftAt": new Date(now) } },
+    { arrayFilters: [{ "stale.leftAt": null, "stale.lastSeenAt": { $lt: staleBefore } }] }
+  );
+
+  // 2. Rooms past the maximum length, and rooms left empty for a while
+  const toEnd = await Room.find({
+    status: "live",
+    $or: [
+      { startedAt: { $lt: new Date(now - MAX_ROOM_MS) } },
+      {
+        lastActivityAt: { $lt: new Date(now - EMPTY_ROOM_MS) },
+        participants: { $not: { $elemMatch: { leftAt: null } } },
+      },
+    ],
+  }).select("host startedAt participants");
+
+  for (const room of toEnd) {
+    const reason = room.startedAt < new Date(now - MAX_ROOM_MS) ? "expired" : "empty";
+    await endRoom(room, reason);
+  }
+}
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    await sweep();
+  } catch (err) {
+    console.error("Room sweeper error:", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(tick, SWEEP_INTERVAL_MS);
+  tick();
+  console.log("🎙  Room sweeper started");
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  newRoomId,
+  liveCount,
+  roomRole,
+  roomPrivileges,
+  canModerateUser,
+  canAccessRoom,
+  visibleRoomsFilter,
+  entryBlock,
+  removeFromRoom,
+  joinRoom,
+  heartbeat,
+  leaveRoom,
+  endRoom,
+  start,
+  stop,
+};
@@ -0,0 +1,111 @@
+// ─── Podcast RSS 2.0 ────────────────────────────────────────────────────
+// Builds the private podcast feed of an organisation's audio reflections,
+// with the iTunes tags podcast apps rely on (duration, author, show notes).
+
+const ITUNES_NS = "http://www.itunes.com/dtds/podcast-1.0.dtd";
+const CONTENT_NS = "http://purl.org/rss/1.0/modules/content/";
+
+const escapeXml = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    // Control characters other than tab/newline are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+
+// Upload formats accepted by /api/posts/upload-audio
+const AUDIO_TYPES = {
+  mp3: "audio/mpeg",
+  m4a: "audio/mp4",
+  wav: "audio/wav",
+  ogg: "audio/ogg",
+  webm: "audio/webm",
+};
+
+/** MIME type from the audio URL's extension (Cloudinary keeps it). */
+function audioType(url) {
+  const ext = (String(url).split("?")[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+  return AUDIO_TYPES[(ext || "").toLowerCase()] || "audio/mpeg";
+}
+
+// 754 → "00:12:34"
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+}
+
+const tag = (name, value) => (value === undefined || value === null || value === "" ? null : `<${name}>${escapeXml(value)}</${name}>`);
+const cdata = (html) => `<![CDATA[${String(html).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+// Show notes: the AI summary and suggestions, falling back to the typed text
+function showNotes(post) {
+  const feedback = post.aiFeedback?.status === "ready" ? post.aiFeedback : null;
+  const plain = [feedback?.summary || post.content || ""];
+  let html = `<p>${escapeXml(feedback?.summary || post.content || "")}</p>`;
+  if (feedback?.suggestions?.length) {
+    plain.push("", "Suggestions:", ...feedback.suggestions.map((s) => `- ${s}`));
+    html += `<p>Suggestions:</p><ul>${feedback.suggestions.map((s) => `<li>${escapeXml(s)}</li>`).join("")}</ul>`;
+  }
+  return { plain: plain.join("\n"), html };
+}
+
+/**
+ * <item> for an audio post. Expects createdBy populated (name).
+ * `url` links back to the post in the app.
+ */
+function postItem(post, { url } = {}) {
+  const notes = showNotes(post);
+  const author = post.createdBy?.name;
+  const duration = post.transcript?.durationSeconds; // measured by the transcription
+
+  return [
+    "<item>",
+    tag("title", post.audioTitle || post.title),
+    `<guid isPermaLink="false">${escapeXml(post._id)}</guid>`,
+    tag("link", url),
+    tag("pubDate", new Date(post.createdAt).toUTCString()),
+    `<enclosure url="${escapeXml(post.audioUrl)}" length="${Number(post.audioBytes) || 0}" type="${audioType(post.audioUrl)}"/>`,
+    tag("description", notes.plain),
+    `<content:encoded>${cdata(notes.html)}</content:encoded>`,
+    tag("itunes:author", author),
+    tag("itunes:summary", notes.plain),
+    duration ? tag("itunes:duration", formatDuration(duration)) : null,
+    ...(post.tags || []).map((t) => tag("category", t)),
+    "<itunes:explicit>false</itunes:explicit>",
+    "</item>",
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * Wrap items in an RSS 2.0 channel. The feed is private to the organisation,
+ * so it asks directories not to list it (itunes:block).
+ */
+function buildFeed(items, { title, description, link, author, image, selfUrl }) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<rss version="2.0" xmlns:itunes="${ITUNES_NS}" xmlns:content="${CONTENT_NS}" xmlns:atom="http://www.w3.org/2005/Atom">`,
+    "<channel>",
+    tag("title", title),
+    tag("link", link),
+    tag("description", description),
+    "<language>en</language>",
+    tag("lastBuildDate", new Date().toUTCString()),
+    selfUrl ? `<atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>` : null,
+    tag("itunes:author", author),
+    tag("itunes:summary", description),
+    image ? `<itunes:image href="${escapeXml(image)}"/>` : null,
+    '<itunes:category text="Business"/>',
+    "<itunes:explicit>false</itunes:explicit>",
+    "<itunes:type>episodic</itunes:type>",
+    "<itunes:block>Yes</itunes:block>",
+    ...items,
+    "</channel>",
+    "</rss>",
+    "",
+  ].filter(Boolean).join("\n");
+}
+
+module.exports = { postItem, buildFeed, formatDuration, audioType, escapeXml };
@@ -0,0 +1,178 @@
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+
+// ─── Reflection search ──────────────────────────────────────────────────
+// Uses the MongoDB text indexes on Post (title / content / audio transcript /
+// AI summary) and
+// Comment (text). A post matched through its comments ranks lower than a
+// direct hit, but still shows up with the matching comment as a snippet.
+
+const COMMENT_WEIGHT = 0.5;
+const SNIPPET_RADIUS = 70;
+const CANDIDATE_LIMIT = 200;
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Terms to highlight: every word of the query (phrases included), minus negations.
+// Common English suffixes are trimmed so "deploys" also highlights "deployment".
+function highlightTerms(q) {
+  return [...new Set(
+    q.replace(/(^|\s)-\S+/g, " ")
+      .replace(/"/g, " ")
+      .toLowerCase()
+      .split(/\s+/)
+      .filter((w) => w.length >= 2)
+      .map((w) => (w.length > 5 ? w.replace(/(ments?|ings?|ed|es|s)$/, "") : w))
+  )];
+}
+
+/**
+ * Cut a window of text around the first matching term and wrap every match
+ * in <mark>. The text is HTML-escaped first so the snippet is safe to render.
+ * Returns null when nothing matches.
+ */
+function makeSnippet(text, terms) {
+  if (!text || !terms.length) return null;
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegex).join("|")})[\\p{L}\\p{N}]*`, "giu");
+
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const window = text.slice(start, end).replace(/\s+/g, " ");
+
+  const marked = escapeHtml(window).replace(
+    new RegExp(`\\b(${terms.map((t) => escapeRegex(escapeHtml(t))).join("|")})[\\p{L}\\p{N}]*`, "giu"),
+    "<mark>$&</mark>"
+  );
+
+  return `${start > 0 ? "…" : ""}${marked}${end < text.length ? "…" : ""}`;
+}
+
+// Start time (seconds) of the first transcript segment mentioning a term, so
+// the client can jump the audio player there
+function matchingSegmentStart(segments, terms) {
+  if (!segments?.length || !terms.length) return null;
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegex).join("|")})`, "iu");
+  const hit = segments.find((s) => pattern.test(s.text || ""));
+  return hit ? hit.start : null;
+}
+
+// Non-text filters (org, author, tag, date range, audio)
+function buildPostFilter(organization, { author, tag, from, to, hasAudio }) {
+  const filter = { organization };
+
+  if (author) {
+    if (!mongoose.isValidObjectId(author)) throw Object.assign(new Error("Invalid author id"), { status: 400 });
+    filter.createdBy = author;
+  }
+  if (tag) filter.tags = { $regex: new RegExp(`^${escapeRegex(tag)}$`, "i") };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+    if (Object.values(filter.createdAt).some((d) => isNaN(d))) {
+      throw Object.assign(new Error("from/to must be valid dates"), { status: 400 });
+    }
+  }
+  if (hasAudio === "true") filter.audioUrl = { $nin: [null, ""] };
+  if (hasAudio === "false") filter.audioUrl = { $in: [null, ""] };
+
+  return filter;
+}
+
+/**
+ * Search an organisation's reflections and their comments.
+ * Resolves to { total, results: [{ post, score, highlights }] } sorted by relevance.
+ */
+async function searchReflections(organization, { q, limit = 20, skip = 0, ...filters }) {
+  const terms = highlightTerms(q);
+  const postFilter = buildPostFilter(organization, filters);
+
+  // Comments carry no organisation, so they are limited to the org's (filtered) posts
+  const candidateIds = await Post.find(postFilter).distinct("_id");
+
+  const [postHits, commentHits] = await Promise.all([
+    Post.find({ ...postFilter, $text: { $search: q } }, { score: { $meta: "textScore" } })
+      .select("title content tags audioUrl createdBy createdAt aiFeedback.summary transcript.text transcript.segments")
+      .sort({ score: { $meta: "textScore" } })
+      .limit(CANDIDATE_LIMIT)
+      .lean(),
+    Comment.find(
+      { $text: { $search: q }, postId: { $in: candidateIds }, deleted: { $ne: true } },
+      { score: { $meta: "textScore" } }
+    )
+      .select("postId text createdBy createdAt")
+      .sort({ score: { $meta: "textScore" } })
+      .limit(CANDIDATE_LIMIT)
+      .lean(),
+  ]);
+
+  const results = new Map();
+  postHits.forEach((post) => {
+    results.set(post._id.toString(), { post, score: post.score, comments: [] });
+  });
+
+  // Posts that only matched through a comment
+  const extraIds = [...new Set(commentHits.map((c) => c.postId.toString()))].filter((id) => !results.has(id));
+  if (extraIds.length) {
+    const extraPosts = await Post.find({ ...postFilter, _id: { $in: extraIds } })
+      .select("title content tags audioUrl createdBy createdAt aiFeedback.summary transcript.text transcript.segments")
+      .lean();
+    extraPosts.forEach((post) => results.set(post._id.toString(), { post, score: 0, comments: [] }));
+  }
+
+  commentHits.forEach((comment) => {
+    const entry = results.get(comment.postId.toString());
+    if (!entry) return;
+    if (!entry.comments.length) entry.score += comment.score * COMMENT_WEIGHT;
+    entry.comments.push(comment);
+  });
+
+  const ranked = [...results.values()].sort(
+    (a, b) => b.score - a.score || new Date(b.post.createdAt) - new Date(a.post.createdAt)
+  );
+  const page = ranked.slice(skip, skip + limit);
+
+  await Post.populate(page.map((r) => r.post), { path: "createdBy", select: "name role" });
+
+  return {
+    total: ranked.length,
+    results: page.map(({ post, score, comments }) => {
+      const highlights = [];
+      const add = (field, text, extra = {}) => {
+        const snippet = makeSnippet(text, terms);
+        if (snippet) highlights.push({ field, snippet, ...extra });
+      };
+      add("title", post.title);
+      add("content", post.content);
+      add("transcript", post.transcript?.text, { start: matchingSegmentStart(post.transcript?.segments, terms) });
+      add("aiSummary", post.aiFeedback?.summary);
+      comments.slice(0, 3).forEach((c) => add("comment", c.text, { commentId: c._id }));
+
+      return {
+        post: {
+          _id: post._id,
+          title: post.title,
+          tags: post.tags,
+          audioUrl: post.audioUrl,
+          createdBy: post.createdBy,
+          createdAt: post.createdAt,
+        },
+        score: Math.round(score * 1000) / 1000,
+        highlights,
+      };
+    }),
+  };
+}
+
+module.exports = { searchReflections, makeSnippet, highlightTerms, escapeRegex };
@@ -0,0 +1,230 @@
+const stripe = require("../config/stripe");
+const StripeEvent = require("../models/StripeEvent");
+const Invoice = require("../models/Invoice");
+const User = require("../models/User");
+const Organization = require("../models/Organization");
+const { syncOrgSubscription, syncUserSubscription, applySubscriptionStatus } = require("./billingService");
+
+// ─── Stripe webhook processing ──────────────────────────────────────────
+// Every verified event is written to the StripeEvent log first, then
+// processed. Stripe delivers at least once, so a redelivered event that was
+// already handled is skipped. Failures are retried with backoff by the
+// replay worker below (same lease pattern as the feedback worker).
+
+const POLL_INTERVAL_MS = parseInt(process.env.STRIPE_EVENT_WORKER_INTERVAL_MS, 10) || 30 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.STRIPE_EVENT_MAX_ATTEMPTS, 10) || 8;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const LEASE_MS = 2 * 60 * 1000;
+
+const backoff = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+// Who a subscription/customer belongs to: { org } or { user } (or {})
+async function findOwner({ subscription, customer, metadata }) {
+  if (subscription) {
+    const org = await Organization.findOne({ stripeSubscriptionId: subscription });
+    if (org) return { org };
+    const user = await User.findOne({ stripeSubscriptionId: subscription });
+    if (user) return { user };
+  }
+  if (metadata?.organizationId) {
+    const org = await Organization.findById(metadata.organizationId);
+    if (org) return { org };
+  }
+  if (customer) {
+    const org = await Organization.findOne({ stripeCustomerId: customer });
+    if (org) return { org };
+    const user = await User.findOne({ stripeCustomerId: customer });
+    if (user) return { user };
+  }
+  return {};
+}
+
+// Subscription objects in events can be stale when deliveries arrive out of
+// order, so always sync from the current state in Stripe.
+async function syncSubscription(subscriptionId, hint = {}) {
+  const sub = await stripe.subscriptions.retrieve(subscriptionId);
+  const { org, user } = await findOwner({
+    subscription: sub.id,
+    customer: sub.customer,
+    metadata: { ...hint, ...sub.metadata },
+  });
+  if (org) return syncOrgSubscription(org, sub);
+
+  const owner = user || (hint.userId && (await User.findById(hint.userId)));
+  if (owner) return syncUserSubscription(owner, sub);
+  throw new Error(`No owner found for subscription ${sub.id}`);
+}
+
+async function upsertInvoice(invoice) {
+  const subscription = invoice.subscription || invoice.parent?.subscription_details?.subscription || null;
+  const { org, user } = await findOwner({
+    subscription,
+    customer: invoice.customer,
+    metadata: invoice.subscription_details?.metadata,
+  });
+
+  await Invoice.findOneAndUpdate(
+    { stripeInvoiceId: invoice.id },
+    {
+      user: user?._id || null,
+      organization: org?._id || null,
+      customer: invoice.customer,
+      subscription,
+      number: invoice.number,
+      status: invoice.status,
+      currency: invoice.currency,
+      amountDue: invoice.amount_due,
+      amountPaid: invoice.amount_paid,
+      attemptCount: invoice.attempt_count,
+      nextPaymentAttempt: toDate(invoice.next_payment_attempt),
+      periodStart: toDate(invoice.period_start),
+      periodEnd: toDate(invoice.period_end),
+      paidAt: toDate(invoice.status_transitions?.paid_at),
+      hostedInvoiceUrl: invoice.hosted_invoice_url,
+      invoicePdf: invoice.invoice_pdf,
+    },
+    { upsert: true, new: true }
+  );
+  return org || user || null;
+}
+
+// Handlers return false for events we deliberately don't act on
+const HANDLERS = {
+  "checkout.session.completed": async (session) => {
+    if (!session.subscription) return false;
+    const { organizationId, userId } = session.metadata || {};
+    await syncSubscription(session.subscription, { organizationId, userId });
+    if (userId && !organizationId) console.log(`✅ User ${userId} subscribed`);
+    if (organizationId) console.log(`✅ Organisation ${organizationId} subscribed`);
+  },
+
+  "customer.subscription.created": (sub) => syncSubscription(sub.id),
+  "customer.subscription.updated": (sub) => syncSubscription(sub.id),
+  "customer.subscription.deleted": (sub) => syncSubscription(sub.id),
+
+  "invoice.paid": async (invoice) => {
+    await upsertInvoice(invoice);
+  },
+
+  // Starts the grace period straight away — the subscription.updated to
+  // past_due can arrive later than this
+  "invoice.payment_failed": async (invoice) => {
+    const owner = await upsertInvoice(invoice);
+    if (owner && owner.subscriptionStatus !== "past_due" && invoice.billing_reason !== "subscription_create") {
+      applySubscriptionStatus(owner, "past_due");
+      await owner.save();
+      console.log(`⚠️  Payment failed for ${owner.constructor.modelName} ${owner._id}`);
+    }
+  },
+
+  "invoice.finalized": async (invoice) => {
+    await upsertInvoice(invoice);
+  },
+  "invoice.voided": async (invoice) => {
+    await upsertInvoice(invoice);
+  },
+  "invoice.marked_uncollectible": async (invoice) => {
+    await upsertInvoice(invoice);
+  },
+};
+
+/** Store a verified event; resolves to its log entry (existing one for redeliveries). */
+async function recordEvent(event) {
+  try {
+    return await StripeEvent.create({ eventId: event.id, type: event.type, payload: event });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return StripeEvent.findOne({ eventId: event.id });
+  }
+}
+
+// Atomically take a due pending event (optionally a specific one) off the queue
+function claim(filter = {}) {
+  const now = new Date();
+  return StripeEvent.findOneAndUpdate(
+    { ...filter, status: "pending", nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+async function processEvent(entry) {
+  const handler = HANDLERS[entry.type];
+  try {
+    if (handler && !stripe) throw new Error("Stripe not configured");
+    const handled = handler ? await handler(entry.payload.data.object) : false;
+    entry.status = handled === false ? "ignored" : "processed";
+    entry.processedAt = new Date();
+    entry.error = null;
+    entry.nextAttemptAt = null;
+  } catch (err) {
+    console.error(`Stripe event ${entry.eventId} (${entry.type}) failed (attempt ${entry.attempts}/${MAX_ATTEMPTS}):`, err.message);
+    entry.error = err.message;
+    if (entry.attempts >= MAX_ATTEMPTS) {
+      entry.status = "failed";
+      entry.nextAttemptAt = null;
+    } else {
+      entry.nextAttemptAt = new Date(Date.now() + backoff(entry.attempts));
+    }
+  }
+  await entry.save();
+  return entry;
+}
+
+/**
+ * Log and process an incoming event. Resolves to { entry, duplicate }.
+ * Never throws for handler errors — those are left to the replay worker.
+ */
+async function handleWebhookEvent(event) {
+  const entry = await recordEvent(event);
+  const claimed = await claim({ _id: entry._id });
+  if (!claimed) return { entry, duplicate: true }; // already handled, or being handled
+  return { entry: await processEvent(claimed), duplicate: false };
+}
+
+/** Put a failed (or ignored) event back on the queue and process it now. */
+async function replayEvent(eventId) {
+  const entry = await StripeEvent.findOneAndUpdate(
+    { eventId, status: { $in: ["failed", "ignored"] } },
+    { status: "pending", attempts: 0, error: null, nextAttemptAt: new Date() },
+    { new: true }
+  );
+  if (!entry) return null;
+  const claimed = await claim({ _id: entry._id });
+  return claimed ? processEvent(claimed) : entry;
+}
+
+// ─── Replay worker ──────────────────────────────────────────────────────
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    let entry;
+    while ((entry = await claim())) {
+      await processEvent(entry);
+    }
+  } catch (err) {
+    console.error("Stripe event worker error:", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+  console.log("💳 Stripe event worker started");
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { handleWebhookEvent, replayEvent, start, stop };
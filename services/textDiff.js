@@ -0,0 +1,38 @@
+// ─── Line-based text diff ───────────────────────────────────────────────
+// Classic LCS table; reflections are short enough that O(n·m) is fine.
+
+/**
+ * Diff two strings line by line.
+ * Returns [{ type: "same" | "added" | "removed", text }] in reading order.
+ */
+function diffLines(before = "", after = "") {
+  const a = (before || "").split(/\r?\n/);
+  const b = (after || "").split(/\r?\n/);
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: "same", text: a[i] });
+      i++; j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: "removed", text: a[i++] });
+    } else {
+      result.push({ type: "added", text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: "removed", text: a[i++] });
+  while (j < b.length) result.push({ type: "added", text: b[j++] });
+
+  return result;
+}
+
+module.exports = { diffLines };
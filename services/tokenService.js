@@ -0,0 +1,132 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+const User = require("../models/User");
+
+// ─── Access + refresh tokens ────────────────────────────────────────────
+// Access tokens are short-lived JWTs carrying the session family id (`sid`).
+// Refresh tokens are opaque random strings, stored hashed and rotated on use.
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (raw) => crypto.createHash("sha256").update(raw).digest("hex");
+
+const signAccessToken = (user, family) =>
+  jwt.sign(
+    { id: user._id, organization: user.organization, sid: family },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+async function createRefreshToken(user, req, family = crypto.randomUUID()) {
+  const raw = crypto.randomBytes(48).toString("hex");
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(raw),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+  });
+  return { raw, family };
+}
+
+/** Start a new session (login). Resolves to { token, refreshToken, expiresIn }. */
+async function issueSession(user, req) {
+  const { raw, family } = await createRefreshToken(user, req);
+  return { token: signAccessToken(user, family), refreshToken: raw, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Presenting an already-rotated token means it leaked — the whole family is revoked.
+ * Resolves to { user, session } or null when the token is unusable.
+ */
+async function rotateRefreshToken(raw, req) {
+  const tokenHash = hashToken(raw);
+  const now = new Date();
+
+  // Claim the token atomically: of two concurrent refreshes only one gets
+  // it, the other is treated as reuse below
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } }
+  );
+
+  if (!stored) {
+    const spent = await RefreshToken.findOne({ tokenHash });
+    if (spent && spent.revokedAt && spent.expiresAt > now) {
+      console.warn(`⚠️  Refresh token reuse detected for user ${spent.user}, revoking session ${spent.family}`);
+      await revokeFamily(spent.family);
+    }
+    return null;
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.active) {
+    await revokeFamily(stored.family);
+    return null;
+  }
+
+  const next = await createRefreshToken(user, req, stored.family);
+  await RefreshToken.updateOne({ _id: stored._id }, { $set: { replacedBy: hashToken(next.raw) } });
+
+  return {
+    user,
+    session: { token: signAccessToken(user, stored.family), refreshToken: next.raw, expiresIn: ACCESS_TOKEN_TTL },
+  };
+}
+
+const revokeFamily = (family) =>
+  RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+
+const revokeAllForUser = (userId) =>
+  RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+
+/** Is the session behind an access token still alive (not logged out)? */
+const isSessionActive = (family) =>
+  RefreshToken.exists({ family, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+// ─── Single-use action tokens (email verification, password reset) ─────
+// Signed with JWT_SECRET plus a fingerprint of the state the action changes,
+// so a token stops verifying as soon as it has been used (password hash
+// changes, email becomes verified) — no server-side storage needed.
+const ACTION_FINGERPRINTS = {
+  "verify-email": (user) => `${user.email}:${user.emailVerified}`,
+  "reset-password": (user) => user.password,
+};
+
+const actionSecret = (user, purpose) =>
+  `${process.env.JWT_SECRET}:${purpose}:${ACTION_FINGERPRINTS[purpose](user)}`;
+
+const signActionToken = (user, purpose, expiresIn) =>
+  jwt.sign({ id: user._id, purpose }, actionSecret(user, purpose), { expiresIn });
+
+/** Resolve the user an action token was issued to, or null if invalid/expired/used. */
+async function verifyActionToken(token, purpose) {
+  const unverified = jwt.decode(token);
+  if (!unverified || unverified.purpose !== purpose || !mongoose.isValidObjectId(unverified.id)) return null;
+
+  const user = await User.findById(unverified.id);
+  if (!user) return null;
+
+  try {
+    jwt.verify(token, actionSecret(user, purpose));
+    return user;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  signActionToken,
+  verifyActionToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  isSessionActive,
+  hashToken,
+};
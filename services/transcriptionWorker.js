@@ -0,0 +1,127 @@
+const Post = require("../models/Post");
+const { transcribe, isAvailable } = require("./transcriptionProviders");
+const feedbackWorker = require("./feedbackWorker");
+
+// ─── Background transcription worker ────────────────────────────────────
+// Posts with audio are saved with transcript.status = "pending"; this worker
+// transcribes them and stores the text with segment timestamps. AI feedback
+// for such posts waits until the transcript settles (see feedbackWorker.js),
+// so the reflection is judged on what was said, not just what was typed.
+
+const POLL_INTERVAL_MS = parseInt(process.env.TRANSCRIPTION_WORKER_INTERVAL_MS, 10) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.TRANSCRIPTION_MAX_ATTEMPTS, 10) || 3;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+const LEASE_MS = 5 * 60 * 1000; // long audio takes a while
+
+let timer = null;
+let running = false;
+
+const backoff = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+function claimNext() {
+  const now = new Date();
+  return Post.findOneAndUpdate(
+    { "transcript.status": "pending", "transcript.nextAttemptAt": { $lte: now } },
+    {
+      $set: { "transcript.nextAttemptAt": new Date(now.getTime() + LEASE_MS) },
+      $inc: { "transcript.attempts": 1 },
+    },
+    { new: true, sort: { "transcript.nextAttemptAt": 1 } }
+  );
+}
+
+async function processPost(post) {
+  const attempts = post.transcript.attempts;
+  // The audio may have been removed or swapped while the job waited
+  const audioUrl = post.audioUrl;
+
+  try {
+    if (!audioUrl) throw Object.assign(new Error("Post has no audio"), { permanent: true });
+    const result = await transcribe(audioUrl);
+
+    post.transcript = {
+      text: result.text,
+      segments: result.segments,
+      language: result.language,
+      durationSeconds: result.durationSeconds,
+      provider: result.provider,
+      status: "ready",
+      attempts,
+      error: null,
+      nextAttemptAt: null,
+      transcribedAt: new Date(),
+    };
+  } catch (err) {
+    console.log(`Transcription for post ${post._id} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, err.message);
+
+    post.transcript.error = err.message;
+    if (err.permanent || attempts >= MAX_ATTEMPTS) {
+      post.transcript.status = "failed";
+      post.transcript.nextAttemptAt = null;
+    } else {
+      post.transcript.nextAttemptAt = new Date(Date.now() + backoff(attempts));
+    }
+  }
+
+  // Only write back if the audio is still the one we transcribed
+  const saved = await Post.updateOne(
+    { _id: post._id, audioUrl, "transcript.attempts": attempts },
+    { $set: { transcript: post.transcript } }
+  );
+
+  // Feedback that was waiting on this transcript can run now
+  if (saved.modifiedCount && post.transcript.status !== "pending") feedbackWorker.enqueue();
+}
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    let post;
+    while ((post = await claimNext())) {
+      await processPost(post);
+    }
+  } catch (err) {
+    console.error("Transcription worker error:", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Queue a transcript for the post's current audio (or clear it when there's
+ * none) without saving. Without any transcription provider the post simply
+ * has no transcript.
+ */
+function markPending(post) {
+  if (!post.audioUrl || !isAvailable()) {
+    post.transcript = undefined;
+    return;
+  }
+  post.transcript = {
+    status: "pending",
+    attempts: 0,
+    error: null,
+    nextAttemptAt: new Date(),
+  };
+}
+
+/** Nudge the worker so a fresh upload doesn't wait for the next poll. */
+function enqueue() {
+  setImmediate(tick);
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+  console.log("🎧 Transcription worker started");
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { start, stop, enqueue, markPending };
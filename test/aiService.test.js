@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseFeedback } = require("../services/aiService");
+
+test("parseFeedback reads the plain sectioned format", () => {
+  const text = [
+    "Summary: You shipped the release.",
+    "Suggestions:",
+    "- Write the retro down",
+    "- Take a day off",
+    "Questions:",
+    "1. What slowed you down?",
+    "Reflection: Momentum matters.",
+  ].join("\n");
+
+  assert.deepEqual(parseFeedback(text), {
+    summary: "You shipped the release.",
+    suggestions: ["Write the retro down", "Take a day off"],
+    questions: ["What slowed you down?"],
+    insight: "Momentum matters.",
+  });
+});
+
+test("parseFeedback accepts markdown headings, bold and bullets", () => {
+  const text = [
+    "## Summary",
+    "A **busy** week,",
+    "mostly meetings.",
+    "",
+    "**Suggestions:**",
+    "* Block focus time",
+    "### Questions",
+    "• Which meetings could be emails?",
+    "__Reflection__",
+    "Protect your mornings.",
+  ].join("\r\n");
+
+  assert.deepEqual(parseFeedback(text), {
+    summary: "A busy week, mostly meetings.",
+    suggestions: ["Block focus time"],
+    questions: ["Which meetings could be emails?"],
+    insight: "Protect your mornings.",
+  });
+});
+
+test("parseFeedback returns null when a section is missing or empty", () => {
+  assert.equal(parseFeedback("Summary: x\nSuggestions:\n- y\nQuestions:\n- z"), null);
+  assert.equal(parseFeedback("Summary: x\nSuggestions:\nQuestions:\n- z\nReflection: w"), null);
+  assert.equal(parseFeedback(""), null);
+  assert.equal(parseFeedback(undefined), null);
+});
+
+test("a section word inside a sentence isn't taken for a heading", () => {
+  const text = "Summary: x\nSuggestions:\n- y\nQuestions:\n- z\nReflection: w\nSummary of the above is fine";
+  assert.equal(parseFeedback(text).insight, "w Summary of the above is fine");
+});
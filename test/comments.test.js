@@ -0,0 +1,39 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+const memoryDb = require("./support/memoryDb");
+const { seed, startApp } = require("./support/fixtures");
+const Comment = require("../models/Comment");
+
+let app;
+let world;
+
+before(async () => {
+  memoryDb.install();
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+  memoryDb.uninstall();
+});
+
+beforeEach(() => {
+  world = seed();
+});
+
+const reply = (parentId) =>
+  app.request(world.tokens.Alice, "POST", "/api/comments/create", { postId: world.post._id, parentId, text: "Reply" });
+
+test("replies to a live comment are accepted", async () => {
+  const res = await reply(world.comment._id);
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+});
+
+test("replies to a deleted comment are refused", async () => {
+  const tombstone = { _id: new Types.ObjectId(), postId: world.post._id, text: "[deleted]", deleted: true, createdBy: world.alice._id };
+  memoryDb.insert(Comment, tombstone);
+
+  const res = await reply(tombstone._id);
+  assert.equal(res.status, 400, JSON.stringify(res.body));
+});
@@ -0,0 +1,41 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { fold, escapeText, paramValue, formatDate } = require("../services/icsService");
+
+test("escapeText escapes backslashes, separators and newlines", () => {
+  assert.equal(escapeText("a\\b;c,d\ne\r\nf"), "a\\\\b\\;c\\,d\\ne\\nf");
+  assert.equal(escapeText(null), "");
+});
+
+test("paramValue quotes values with separators and drops what can't be quoted", () => {
+  assert.equal(paramValue("Alice"), "Alice");
+  assert.equal(paramValue("Smith, Alice"), '"Smith, Alice"');
+  assert.equal(paramValue('Al "the boss"\nice:x'), '"Al the bossice:x"');
+});
+
+test("fold leaves short lines alone", () => {
+  const line = "x".repeat(75);
+  assert.equal(fold(line), line);
+});
+
+test("fold splits at 75 octets with CRLF and a space", () => {
+  const line = "x".repeat(200);
+  const parts = fold(line).split("\r\n");
+  assert.equal(parts[0].length, 75);
+  parts.slice(1).forEach((part) => {
+    assert.ok(part.startsWith(" "));
+    assert.ok(Buffer.byteLength(part, "utf8") <= 75);
+  });
+  assert.equal(parts.map((part, i) => (i ? part.slice(1) : part)).join(""), line);
+});
+
+test("fold never splits a multi-byte character", () => {
+  const line = "é".repeat(100); // 2 octets each
+  const parts = fold(line).split("\r\n");
+  parts.forEach((part) => assert.ok(Buffer.byteLength(part, "utf8") <= 75));
+  assert.equal(parts.map((part, i) => (i ? part.slice(1) : part)).join(""), line);
+});
+
+test("formatDate writes UTC basic format", () => {
+  assert.equal(formatDate("2026-10-19T09:30:00.000Z"), "20261019T093000Z");
+});
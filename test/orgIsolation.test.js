@@ -0,0 +1,114 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const memoryDb = require("./support/memoryDb");
+const { seed, startApp } = require("./support/fixtures");
+
+// Every post, comment, team and room endpoint must treat another
+// organisation's resource exactly like a missing one: 404.
+
+let app;
+let world;
+
+before(async () => {
+  memoryDb.install();
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+  memoryDb.uninstall();
+});
+
+beforeEach(() => {
+  world = seed();
+});
+
+const asBob = (method, path, body) => app.request(world.tokens.Bob, method, path, body);
+const asAlice = (method, path, body) => app.request(world.tokens.Alice, method, path, body);
+
+// [method, path(world), body?(world)] — all aimed at org A's resources
+const crossOrgRoutes = [
+  // Posts
+  ["GET", (w) => `/api/posts/${w.post._id}`],
+  ["PUT", (w) => `/api/posts/${w.post._id}`, () => ({ title: "Hijacked" })],
+  ["DELETE", (w) => `/api/posts/${w.post._id}`],
+  ["GET", (w) => `/api/posts/${w.post._id}/revisions`],
+  ["GET", (w) => `/api/posts/${w.post._id}/revisions/diff?from=1&to=2`],
+  ["GET", (w) => `/api/posts/${w.post._id}/feedback`],
+  ["GET", (w) => `/api/posts/${w.post._id}/feedback/stream`],
+  ["POST", (w) => `/api/posts/${w.post._id}/regenerate-feedback`],
+  ["POST", (w) => `/api/posts/${w.post._id}/transcribe`],
+  ["POST", (w) => `/api/posts/react/${w.post._id}`, () => ({ type: "agree" })],
+  ["GET", (w) => `/api/posts/${w.post._id}/reactions`],
+  ["POST", () => "/api/posts/create", (w) => ({ title: "t", content: "c", team: w.team._id })],
+
+  // Comments
+  ["POST", () => "/api/comments/create", (w) => ({ postId: w.post._id, text: "hi" })],
+  ["GET", (w) => `/api/comments/${w.post._id}`],
+  ["PUT", (w) => `/api/comments/${w.comment._id}`, () => ({ text: "edited" })],
+  ["DELETE", (w) => `/api/comments/${w.comment._id}`],
+
+  // Teams
+  ["GET", (w) => `/api/teams/${w.team._id}`],
+  ["PATCH", (w) => `/api/teams/${w.team._id}`, () => ({ name: "Renamed" })],
+  ["DELETE", (w) => `/api/teams/${w.team._id}`],
+  ["PUT", (w) => `/api/teams/${w.team._id}/members/${w.bob._id}`],
+  ["DELETE", (w) => `/api/teams/${w.team._id}/members/${w.alice._id}`],
+
+  // Rooms
+  ["POST", () => "/api/rooms/token", (w) => ({ roomId: w.room.roomId })],
+  ["GET", (w) => `/api/rooms/${w.room.roomId}`],
+  ["GET", (w) => `/api/rooms/${w.room.roomId}/ics`],
+  ["POST", (w) => `/api/rooms/${w.room.roomId}/invite`, (w) => ({ userIds: [w.bob._id] })],
+  ["POST", (w) => `/api/rooms/${w.room.roomId}/rsvp`, () => ({ response: "yes" })],
+  ["POST", (w) => `/api/rooms/${w.room.roomId}/heartbeat`],
+  ["POST", (w) => `/api/rooms/${w.room.roomId}/leave`],
+  ["POST", (w) => `/api/rooms/${w.room.roomId}/cohosts/${w.bob._id}`],
+  ["DELETE", (w) => `/api/rooms/${w.room.roomId}/cohosts/${w.bob._id}`],
+  ["POST", (w) => `/api/rooms/${w.room.roomId}/speakers/${w.bob._id}`],
+  ["DELETE", (w) => `/api/rooms/${w.room.roomId}/speakers/${w.bob._id}`],
+  ["POST", (w) => `/api/rooms/${w.room.roomId}/hand`],
+  ["DELETE", (w) => `/api/rooms/${w.room.roomId}/hand`],
+  ["POST", (w) => `/api/rooms/${w.room.roomId}/mute/${w.alice._id}`],
+  ["DELETE", (w) => `/api/rooms/${w.room.roomId}/mute/${w.alice._id}`],
+  ["POST", (w) => `/api/rooms/${w.room.roomId}/kick/${w.alice._id}`],
+  ["POST", (w) => `/api/rooms/${w.room.roomId}/ban/${w.alice._id}`],
+  ["DELETE", (w) => `/api/rooms/${w.room.roomId}/ban/${w.alice._id}`],
+  ["PATCH", (w) => `/api/rooms/${w.room.roomId}/settings`, () => ({ privacy: "org" })],
+  ["DELETE", (w) => `/api/rooms/close/${w.room.roomId}`],
+];
+
+// Renders paths with placeholders for test names: /api/posts/:post
+const placeholders = new Proxy({}, { get: (_, key) => ({ _id: `:${String(key)}`, roomId: `:${String(key)}` }) });
+
+for (const [method, path, body] of crossOrgRoutes) {
+  test(`${method} ${path(placeholders)} → 404 for another organisation`, async () => {
+    const res = await asBob(method, path(world), body && body(world));
+    assert.equal(res.status, 404, JSON.stringify(res.body));
+  });
+}
+
+// The same resources are reachable from their own organisation, so the 404s
+// above come from the org scoping and not from broken fixtures.
+test("org A members can reach org A's resources", async () => {
+  assert.equal((await asAlice("GET", `/api/posts/${world.post._id}`)).status, 200);
+  assert.equal((await asAlice("GET", `/api/comments/${world.post._id}`)).status, 200);
+  assert.equal((await asAlice("GET", `/api/teams/${world.team._id}`)).status, 200);
+  assert.equal((await asAlice("GET", `/api/rooms/${world.room.roomId}`)).status, 200);
+});
+
+test("room listings leave out other organisations' rooms", async () => {
+  for (const path of ["/api/rooms/list", "/api/rooms/upcoming"]) {
+    const res = await asBob("GET", path);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, []);
+  }
+  const history = await asBob("GET", "/api/rooms/history");
+  assert.deepEqual(history.body.rooms, []);
+});
+
+test("team listing leaves out other organisations' teams", async () => {
+  const res = await asBob("GET", "/api/teams");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, []);
+});
@@ -0,0 +1,39 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const memoryDb = require("./support/memoryDb");
+const { seed, startApp } = require("./support/fixtures");
+
+// Edits that can't be stored are refused before a revision is written.
+
+let app;
+let world;
+
+before(async () => {
+  memoryDb.install();
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+  memoryDb.uninstall();
+});
+
+beforeEach(() => {
+  world = seed();
+});
+
+const edit = (body) => app.request(world.tokens.Alice, "PUT", `/api/posts/${world.post._id}`, body);
+
+for (const body of [{ title: { a: 1 } }, { tags: { x: 1 } }]) {
+  test(`PUT /api/posts/:id rejects ${JSON.stringify(body)} with 400`, async () => {
+    const res = await edit(body);
+    assert.equal(res.status, 400, JSON.stringify(res.body));
+  });
+}
+
+test("PUT /api/posts/:id accepts a plain edit", async () => {
+  const res = await edit({ title: "Renamed" });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.post.title, "Renamed");
+  assert.equal(res.body.post.version, 2);
+});
@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { postItem, formatDuration, audioType, escapeXml } = require("../services/rssService");
+
+test("escapeXml escapes markup and drops forbidden control characters", () => {
+  assert.equal(escapeXml(`<a href="x">Tom & Jerry's</a>\u0001`), "&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;");
+  assert.equal(escapeXml(undefined), "");
+});
+
+test("formatDuration writes HH:MM:SS", () => {
+  assert.equal(formatDuration(754), "00:12:34");
+  assert.equal(formatDuration(3661.6), "01:01:02");
+  assert.equal(formatDuration(-5), "00:00:00");
+});
+
+test("audioType follows the file extension, defaulting to MP3", () => {
+  assert.equal(audioType("https://example.com/a/b.M4A?v=1"), "audio/mp4");
+  assert.equal(audioType("https://example.com/a/b.webm"), "audio/webm");
+  assert.equal(audioType("https://example.com/a/b"), "audio/mpeg");
+});
+
+test("postItem has an enclosure with the stored size and the measured duration", () => {
+  const item = postItem({
+    _id: "p1",
+    title: "Week 3",
+    audioUrl: "https://example.com/a.ogg",
+    audioBytes: 1234,
+    createdAt: new Date("2026-10-19T09:30:00Z"),
+    createdBy: { name: "Alice" },
+    transcript: { durationSeconds: 754 },
+    tags: ["focus"],
+  }, { url: "https://app.example.com/posts/p1" });
+
+  assert.match(item, /<enclosure url="https:\/\/example.com\/a.ogg" length="1234" type="audio\/ogg"\/>/);
+  assert.match(item, /<itunes:duration>00:12:34<\/itunes:duration>/);
+  assert.match(item, /<itunes:author>Alice<\/itunes:author>/);
+  assert.match(item, /<category>focus<\/category>/);
+});
+
+test("postItem leaves out an unknown duration and reports unknown size as 0", () => {
+  const item = postItem({ _id: "p2", title: "t", audioUrl: "https://example.com/a.mp3", createdAt: new Date() });
+  assert.match(item, /length="0"/);
+  assert.doesNotMatch(item, /itunes:duration/);
+});
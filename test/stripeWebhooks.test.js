@@ -0,0 +1,55 @@
+delete process.env.STRIPE_SECRET_KEY; // handled events can't reach Stripe here
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const memoryDb = require("./support/memoryDb");
+const StripeEvent = require("../models/StripeEvent");
+const { handleWebhookEvent, replayEvent } = require("../services/stripeWebhooks");
+
+// Stripe delivers at least once; every event must be acted on at most once.
+
+const event = (id, type = "customer.created") => ({ id, type, data: { object: { id: "cus_1" } } });
+
+before(() => memoryDb.install());
+after(() => memoryDb.uninstall());
+beforeEach(() => memoryDb.reset());
+
+test("a redelivered event is logged once and reported as a duplicate", async () => {
+  const first = await handleWebhookEvent(event("evt_1"));
+  assert.equal(first.duplicate, false);
+  assert.equal(first.entry.status, "ignored");
+
+  const again = await handleWebhookEvent(event("evt_1"));
+  assert.equal(again.duplicate, true);
+  assert.equal(memoryDb.all(StripeEvent).length, 1);
+});
+
+test("of two concurrent deliveries only one is processed", async () => {
+  const results = await Promise.all([handleWebhookEvent(event("evt_2")), handleWebhookEvent(event("evt_2"))]);
+
+  assert.equal(results.filter((r) => !r.duplicate).length, 1);
+  const [entry] = memoryDb.all(StripeEvent);
+  assert.equal(entry.attempts, 1);
+});
+
+test("a failed event waits for the worker instead of being retried by a redelivery", async () => {
+  const first = await handleWebhookEvent(event("evt_3", "invoice.paid"));
+  assert.equal(first.duplicate, false);
+  assert.equal(first.entry.status, "pending");
+  assert.equal(first.entry.error, "Stripe not configured");
+  assert.ok(first.entry.nextAttemptAt > new Date());
+
+  const again = await handleWebhookEvent(event("evt_3", "invoice.paid"));
+  assert.equal(again.duplicate, true);
+  assert.equal(memoryDb.all(StripeEvent)[0].attempts, 1);
+});
+
+test("only failed or ignored events can be replayed", async () => {
+  await handleWebhookEvent(event("evt_4"));
+  const replayed = await replayEvent("evt_4");
+  assert.equal(replayed.status, "ignored");
+  assert.equal(replayed.attempts, 1);
+
+  await handleWebhookEvent(event("evt_5", "invoice.paid"));
+  assert.equal(await replayEvent("evt_5"), null); // still pending
+});
@@ -0,0 +1,132 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const { Types } = require("mongoose");
+const memoryDb = require("./memoryDb");
+const Organization = require("../../models/Organization");
+const User = require("../../models/User");
+const Post = require("../../models/Post");
+const Comment = require("../../models/Comment");
+const Team = require("../../models/Team");
+const Room = require("../../models/Room");
+const RefreshToken = require("../../models/RefreshToken");
+
+// ─── Two-organisation world ─────────────────────────────────────────────
+// Org A owns a post, a comment, a team and a live room; org B has an admin
+// on a paid plan (so plan guards don't answer before the org check does).
+
+const id = () => new Types.ObjectId();
+
+function makeUser(organization, fields = {}) {
+  return {
+    _id: id(),
+    name: fields.name || "User",
+    email: `${Math.random().toString(36).slice(2)}@example.com`,
+    organization,
+    role: "admin",
+    active: true,
+    emailVerified: true,
+    plan: "pro",
+    subscriptionStatus: "active",
+    ...fields,
+  };
+}
+
+function seed() {
+  memoryDb.reset();
+
+  const orgA = { _id: id(), name: "Org A", inviteCode: "AAAA" };
+  const orgB = { _id: id(), name: "Org B", inviteCode: "BBBB" };
+  const alice = makeUser(orgA._id, { name: "Alice" });
+  const bob = makeUser(orgB._id, { name: "Bob" });
+
+  const team = { _id: id(), name: "Platform", organization: orgA._id, members: [alice._id], leads: [alice._id] };
+  const post = {
+    _id: id(),
+    title: "Org A reflection",
+    content: "Private to org A",
+    organization: orgA._id,
+    createdBy: alice._id,
+    tags: [],
+    audioUrl: "https://example.com/a.mp3",
+    aiFeedback: { status: "ready" },
+    createdAt: new Date(),
+  };
+  const comment = { _id: id(), postId: post._id, text: "Org A comment", createdBy: alice._id };
+  const room = {
+    _id: id(),
+    roomId: "room_org_a",
+    title: "Org A room",
+    type: "audio",
+    organization: orgA._id,
+    host: alice._id,
+    status: "live",
+    startedAt: new Date(),
+    participants: [],
+    invitees: [],
+  };
+
+  memoryDb.insert(Organization, orgA, orgB);
+  memoryDb.insert(User, alice, bob);
+  memoryDb.insert(Team, team);
+  memoryDb.insert(Post, post);
+  memoryDb.insert(Comment, comment);
+  memoryDb.insert(Room, room);
+
+  // Live sessions, so authMiddleware accepts the access tokens
+  const tokens = {};
+  [alice, bob].forEach((user) => {
+    const family = id().toString();
+    memoryDb.insert(RefreshToken, {
+      _id: id(),
+      user: user._id,
+      family,
+      tokenHash: family,
+      revokedAt: null,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    tokens[user.name] = jwt.sign(
+      { id: user._id, organization: user.organization, sid: family },
+      process.env.JWT_SECRET,
+      { expiresIn: "15m" }
+    );
+  });
+
+  return { orgA, orgB, alice, bob, team, post, comment, room, tokens };
+}
+
+/** The app's routers, mounted as in server.js, on an ephemeral port. */
+async function startApp() {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/posts", require("../../routes/postRoutes"));
+  app.use("/api/comments", require("../../routes/commentRoutes"));
+  app.use("/api/teams", require("../../routes/teamRoutes"));
+  app.use("/api/rooms", require("../../routes/roomRoutes"));
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // fetch wrapper: request(token, "GET", "/api/posts/…", body?) → { status, body }
+  const request = async (token, method, path, body) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let parsed = text;
+    try { parsed = JSON.parse(text); } catch { /* not JSON */ }
+    return { status: res.status, body: parsed };
+  };
+
+  return { request, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+module.exports = { seed, startApp };
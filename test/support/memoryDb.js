@@ -0,0 +1,293 @@
+const mongoose = require("mongoose");
+const sift = require("sift");
+
+// ─── In-memory Mongo stand-in for tests ─────────────────────────────────
+// Serves Mongoose queries from plain fixture documents (filters are evaluated
+// with sift, the matcher Mongoose itself ships with), so routes and services
+// can be run end to end without a MongoDB server. Writes are applied too —
+// $set, $setOnInsert, $unset, $inc, $push, $addToSet and $pull, upserts, and
+// unique indexes (E11000) — which is enough for atomic claims and idempotency
+// checks. Anything else (positional paths, aggregation) is not modelled:
+// aggregates resolve to [] and unsupported updates throw.
+
+const { ObjectId } = mongoose.Types;
+
+const collections = new Map(); // modelName → [doc]
+
+const docsFor = (model) => collections.get(model.modelName) || [];
+
+// Deep copy that keeps ObjectIds (and other class instances) intact
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+}
+
+const sameValue = (a, b) => {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (a && b && typeof a === "object" && typeof b === "object" && !(a instanceof ObjectId)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return String(a) === String(b);
+};
+
+// ─── Paths ──────────────────────────────────────────────────────────────
+function getPath(doc, path) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  if (path.split(".").some((key) => key.startsWith("$"))) {
+    throw new Error(`memoryDb: positional update of "${path}" is not supported`);
+  }
+  const keys = path.split(".");
+  let target = doc;
+  keys.slice(0, -1).forEach((key) => {
+    const next = target[key];
+    target[key] = next && typeof next === "object" && !(next instanceof ObjectId) && !(next instanceof Date)
+      ? (Array.isArray(next) ? [...next] : { ...next })
+      : {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = clone(value);
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  if (!keys.length) {
+    delete doc[last];
+    return;
+  }
+  const parentPath = keys.join(".");
+  const parent = getPath(doc, parentPath);
+  if (!parent || typeof parent !== "object") return;
+  setPath(doc, parentPath, parent); // a copy, so stored versions aren't touched
+  delete getPath(doc, parentPath)[last];
+}
+
+// ─── Updates ────────────────────────────────────────────────────────────
+const matcher = (condition) =>
+  condition && typeof condition === "object" && !(condition instanceof ObjectId) && !(condition instanceof Date)
+    ? sift(condition)
+    : (value) => sameValue(value, condition);
+
+const OPERATORS = {
+  $set: (doc, path, value) => setPath(doc, path, value),
+  $setOnInsert: (doc, path, value, inserting) => inserting && setPath(doc, path, value),
+  $unset: (doc, path) => unsetPath(doc, path),
+  $inc: (doc, path, by) => setPath(doc, path, (getPath(doc, path) || 0) + by),
+  $push: (doc, path, value) => setPath(doc, path, [...(getPath(doc, path) || []), value]),
+  $addToSet: (doc, path, value) => {
+    const list = getPath(doc, path) || [];
+    if (!list.some((item) => sameValue(item, value))) setPath(doc, path, [...list, value]);
+  },
+  $pull: (doc, path, condition) => {
+    const matches = matcher(condition);
+    setPath(doc, path, (getPath(doc, path) || []).filter((item) => !matches(item)));
+  },
+};
+
+/** Copy of `doc` with a Mongo update document applied. */
+function applyUpdate(doc, update, { inserting = false } = {}) {
+  const next = { ...doc };
+  for (const [key, value] of Object.entries(update || {})) {
+    if (!key.startsWith("$")) {
+      OPERATORS.$set(next, key, value); // Mongoose treats bare fields as $set
+      continue;
+    }
+    const apply = OPERATORS[key];
+    if (!apply) throw new Error(`memoryDb: update operator ${key} is not supported`);
+    for (const [path, operand] of Object.entries(value)) apply(next, path, operand, inserting);
+  }
+  return next;
+}
+
+// ─── Storage ────────────────────────────────────────────────────────────
+function duplicateKeyError(model, fields) {
+  return Object.assign(new Error(`E11000 duplicate key error collection: ${model.collection.name} index: ${Object.keys(fields).join("_")}`), {
+    code: 11000,
+    keyValue: fields,
+  });
+}
+
+// Enforce the model's unique indexes for `doc` against everything but itself
+function checkUnique(model, doc) {
+  for (const [fields, options] of model.schema.indexes()) {
+    if (!options?.unique) continue;
+    const keys = Object.keys(fields);
+    const clash = docsFor(model).some((other) =>
+      !sameValue(other._id, doc._id) && keys.every((key) => sameValue(getPath(other, key), getPath(doc, key))));
+    if (clash) throw duplicateKeyError(model, Object.fromEntries(keys.map((key) => [key, getPath(doc, key)])));
+  }
+}
+
+function store(model, doc) {
+  checkUnique(model, doc);
+  const docs = docsFor(model);
+  const index = docs.findIndex((other) => sameValue(other._id, doc._id));
+  const copy = clone(doc);
+  if (index === -1) collections.set(model.modelName, [...docs, copy]);
+  else collections.set(model.modelName, docs.map((other, i) => (i === index ? copy : other)));
+  return copy;
+}
+
+function remove(model, doomed) {
+  collections.set(model.modelName, docsFor(model).filter((doc) => !doomed.includes(doc)));
+}
+
+/** Add fixture documents for a model (plain objects, _id included). */
+function insert(Model, ...docs) {
+  docs.forEach((doc) => store(Model, doc));
+}
+
+/** Stored documents of a model (copies), for assertions. */
+function all(Model) {
+  return docsFor(Model).map(clone);
+}
+
+function reset() {
+  collections.clear();
+}
+
+// ─── Queries ────────────────────────────────────────────────────────────
+function compare(a, b, sort) {
+  for (const [key, direction] of Object.entries(sort || {})) {
+    const x = getPath(a, key);
+    const y = getPath(b, key);
+    if (x == null && y == null) continue;
+    if (x == null) return -direction;
+    if (y == null) return direction;
+    if (x < y) return -direction;
+    if (x > y) return direction;
+  }
+  return 0;
+}
+
+// The document a new upsert starts from: the filter's plain equality fields
+function upsertBase(filter) {
+  const base = { _id: new ObjectId() };
+  for (const [key, value] of Object.entries(filter || {})) {
+    if (key.startsWith("$")) continue;
+    if (value && typeof value === "object" && !(value instanceof ObjectId) && !(value instanceof Date)) continue;
+    setPath(base, key, value);
+  }
+  return base;
+}
+
+function run(query) {
+  const model = query.model;
+  const filter = query.getFilter();
+  const options = query.options || {};
+  const matches = docsFor(model).filter(sift(filter));
+  if (options.sort) matches.sort((a, b) => compare(a, b, options.sort));
+  const lean = !!query._mongooseOptions.lean;
+  const shape = (doc) => (doc ? (lean ? clone(doc) : model.hydrate(clone(doc))) : null);
+  const found = options.skip ? matches.slice(options.skip) : matches;
+  const limited = options.limit ? found.slice(0, options.limit) : found;
+  const returnNew = options.new || options.returnDocument === "after";
+
+  const update = (targets) => {
+    const updated = targets.map((doc) => store(model, applyUpdate(doc, query.getUpdate())));
+    if (!targets.length && options.upsert) {
+      const created = store(model, applyUpdate(upsertBase(filter), query.getUpdate(), { inserting: true }));
+      return { updated: [created], upserted: created };
+    }
+    return { updated, upserted: null };
+  };
+
+  switch (query.op) {
+    case "find":
+      return limited.map(shape);
+    case "findOne":
+      return shape(limited[0]);
+    case "countDocuments":
+    case "estimatedDocumentCount":
+      return matches.length;
+    case "distinct":
+      return [...new Set(matches.map((doc) => getPath(doc, query._distinct)).filter((v) => v !== undefined))];
+    case "findOneAndUpdate": {
+      const before = matches[0];
+      const { updated, upserted } = update(matches.slice(0, 1));
+      if (upserted) return returnNew ? shape(upserted) : null;
+      return shape(returnNew ? updated[0] : before);
+    }
+    case "updateOne":
+    case "updateMany": {
+      const { updated, upserted } = update(query.op === "updateOne" ? matches.slice(0, 1) : matches);
+      return {
+        acknowledged: true,
+        matchedCount: upserted ? 0 : updated.length,
+        modifiedCount: upserted ? 0 : updated.length,
+        upsertedCount: upserted ? 1 : 0,
+        upsertedId: upserted ? upserted._id : null,
+      };
+    }
+    case "findOneAndDelete":
+    case "deleteOne":
+    case "deleteMany": {
+      const doomed = query.op === "deleteMany" ? matches : matches.slice(0, 1);
+      remove(model, doomed);
+      return query.op === "findOneAndDelete" ? shape(doomed[0]) : { acknowledged: true, deletedCount: doomed.length };
+    }
+    default:
+      throw new Error(`memoryDb: ${query.op} is not supported`);
+  }
+}
+
+function save(doc) {
+  const model = doc.constructor;
+  const object = doc.toObject({ depopulate: true, virtuals: false, versionKey: false });
+  if (!doc.isNew) {
+    // Same guard as Mongoose: a save filtered by $where that matches nothing fails
+    const current = docsFor(model).find((other) => sameValue(other._id, doc._id));
+    if (!current || (doc.$where && !sift(doc.$where)(current))) {
+      throw new mongoose.Error.DocumentNotFoundError({ _id: doc._id, ...doc.$where }, model.modelName, 0, {});
+    }
+  }
+  store(model, object);
+  doc.isNew = false;
+  return doc;
+}
+
+let originals = null;
+
+/** Route every Mongoose query, aggregate and save to the in-memory collections. */
+function install() {
+  if (originals) return;
+  originals = {
+    queryExec: mongoose.Query.prototype.exec,
+    aggregateExec: mongoose.Aggregate.prototype.exec,
+    save: mongoose.Model.prototype.save,
+    $save: mongoose.Model.prototype.$save,
+    insertMany: mongoose.Model.insertMany,
+  };
+  mongoose.Query.prototype.exec = async function exec() {
+    return run(this);
+  };
+  mongoose.Aggregate.prototype.exec = async function exec() {
+    return [];
+  };
+  // create() and insertOne() save through $save
+  mongoose.Model.prototype.save = mongoose.Model.prototype.$save = async function $save() {
+    return save(this);
+  };
+  mongoose.Model.insertMany = async function insertMany(docs) {
+    return docs.map((doc) => save(doc instanceof mongoose.Model ? doc : new this(doc)));
+  };
+}
+
+function uninstall() {
+  if (!originals) return;
+  mongoose.Query.prototype.exec = originals.queryExec;
+  mongoose.Aggregate.prototype.exec = originals.aggregateExec;
+  mongoose.Model.prototype.save = originals.save;
+  mongoose.Model.prototype.$save = originals.$save;
+  mongoose.Model.insertMany = originals.insertMany;
+  originals = null;
+}
+
+module.exports = { install, uninstall, insert, all, reset };
@@ -0,0 +1,35 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { diffLines } = require("../services/textDiff");
+
+test("unchanged text diffs as all same lines", () => {
+  assert.deepEqual(diffLines("a\nb", "a\nb"), [
+    { type: "same", text: "a" },
+    { type: "same", text: "b" },
+  ]);
+});
+
+test("a changed line reads as removed then added, in place", () => {
+  assert.deepEqual(diffLines("a\nb\nc", "a\nB\nc"), [
+    { type: "same", text: "a" },
+    { type: "removed", text: "b" },
+    { type: "added", text: "B" },
+    { type: "same", text: "c" },
+  ]);
+});
+
+test("lines added or removed at either end keep reading order", () => {
+  assert.deepEqual(diffLines("b\nc", "a\nb"), [
+    { type: "added", text: "a" },
+    { type: "same", text: "b" },
+    { type: "removed", text: "c" },
+  ]);
+});
+
+test("CRLF and LF line endings compare equal, and missing text is empty", () => {
+  assert.deepEqual(diffLines("a\r\nb", "a\nb").map((d) => d.type), ["same", "same"]);
+  assert.deepEqual(diffLines(null, "a"), [
+    { type: "removed", text: "" },
+    { type: "added", text: "a" },
+  ]);
+});
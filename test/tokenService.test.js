@@ -0,0 +1,94 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+const memoryDb = require("./support/memoryDb");
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const {
+  issueSession,
+  rotateRefreshToken,
+  isSessionActive,
+  hashToken,
+  signActionToken,
+  verifyActionToken,
+} = require("../services/tokenService");
+
+// Refresh tokens rotate on every use; presenting a spent one ends the session.
+
+const req = { headers: { "user-agent": "test" }, ip: "127.0.0.1" };
+let user;
+
+before(() => memoryDb.install());
+after(() => memoryDb.uninstall());
+
+beforeEach(() => {
+  memoryDb.reset();
+  user = { _id: new Types.ObjectId(), name: "Alice", email: "alice@example.com", active: true, emailVerified: false };
+  memoryDb.insert(User, user);
+});
+
+const familyOf = (raw) => memoryDb.all(RefreshToken).find((t) => t.tokenHash === hashToken(raw)).family;
+
+test("rotation hands out a new refresh token and spends the old one", async () => {
+  const { refreshToken } = await issueSession(user, req);
+
+  const rotated = await rotateRefreshToken(refreshToken, req);
+  assert.ok(rotated);
+  assert.notEqual(rotated.session.refreshToken, refreshToken);
+  assert.equal(familyOf(rotated.session.refreshToken), familyOf(refreshToken));
+
+  const spent = memoryDb.all(RefreshToken).find((t) => t.tokenHash === hashToken(refreshToken));
+  assert.ok(spent.revokedAt);
+  assert.equal(spent.replacedBy, hashToken(rotated.session.refreshToken));
+});
+
+test("reusing a spent refresh token revokes the whole session", async () => {
+  const { refreshToken } = await issueSession(user, req);
+  const family = familyOf(refreshToken);
+  const rotated = await rotateRefreshToken(refreshToken, req);
+
+  assert.equal(await rotateRefreshToken(refreshToken, req), null);
+  assert.ok(!(await isSessionActive(family)));
+  // The token handed out by the legitimate rotation dies with the family
+  assert.equal(await rotateRefreshToken(rotated.session.refreshToken, req), null);
+});
+
+test("of two concurrent refreshes only one succeeds, and the session is revoked", async () => {
+  const { refreshToken } = await issueSession(user, req);
+  const family = familyOf(refreshToken);
+
+  const results = await Promise.all([rotateRefreshToken(refreshToken, req), rotateRefreshToken(refreshToken, req)]);
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.ok(!(await isSessionActive(family)));
+});
+
+test("an expired refresh token is refused without revoking anything", async () => {
+  const { refreshToken } = await issueSession(user, req);
+  await RefreshToken.updateOne({ tokenHash: hashToken(refreshToken) }, { expiresAt: new Date(Date.now() - 1000) });
+
+  assert.equal(await rotateRefreshToken(refreshToken, req), null);
+  assert.ok(memoryDb.all(RefreshToken).every((t) => !t.revokedAt));
+});
+
+test("deactivated users can't refresh", async () => {
+  const { refreshToken } = await issueSession(user, req);
+  memoryDb.insert(User, { ...user, active: false });
+
+  assert.equal(await rotateRefreshToken(refreshToken, req), null);
+});
+
+test("action tokens verify once and reject malformed user ids", async () => {
+  const token = signActionToken(user, "verify-email", "1h");
+  assert.equal(String((await verifyActionToken(token, "verify-email"))._id), String(user._id));
+  assert.equal(await verifyActionToken(token, "reset-password"), null);
+
+  // Using it changes the fingerprint, so the same token no longer verifies
+  memoryDb.insert(User, { ...user, emailVerified: true });
+  assert.equal(await verifyActionToken(token, "verify-email"), null);
+
+  const jwt = require("jsonwebtoken");
+  const forged = jwt.sign({ id: { $gt: "" }, purpose: "verify-email" }, "whatever");
+  assert.equal(await verifyActionToken(forged, "verify-email"), null);
+});